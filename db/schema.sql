@@ -581,4 +581,176 @@ CREATE TABLE IF NOT EXISTS driver_reports (
 
 CREATE INDEX IF NOT EXISTS idx_driver_reports_driver_id ON driver_reports(driver_id, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_driver_reports_parent_id ON driver_reports(parent_id);
-CREATE INDEX IF NOT EXISTS idx_driver_reports_status ON driver_reports(status);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_driver_reports_status ON driver_reports(status);
+
+alter table trip_geofence_points
+add column if not exists child_id uuid references children (id) on delete set null;
+
+-- Per-child pickup stops: shared points keep their label as stop key, child stops use child:<id>
+alter table children
+add column if not exists pickup_latitude double precision,
+add column if not exists pickup_longitude double precision;
+
+alter table trip_geofence_points
+add column if not exists stop_key text,
+add column if not exists sort_order integer;
+
+update trip_geofence_points
+set stop_key = coalesce('child:' || child_id::text, label)
+where stop_key is null;
+
+alter table trip_geofence_points alter column stop_key set not null;
+
+alter table trip_geofence_points
+drop constraint if exists trip_geofence_points_trip_label_unique;
+
+alter table trip_geofence_points
+drop constraint if exists trip_geofence_points_trip_stop_key_unique;
+
+alter table trip_geofence_points
+add constraint trip_geofence_points_trip_stop_key_unique unique (trip_id, stop_key);
+
+alter table trip_geofence_events
+add column if not exists child_id uuid references children (id) on delete set null;
+
+-- Approach ("arriving soon") events and dwell time on exit
+alter table trip_geofence_points
+add column if not exists approach_radius_m double precision check (approach_radius_m > 0);
+
+alter table trip_geofence_events
+add column if not exists dwell_seconds integer;
+
+alter table trip_geofence_events
+drop constraint if exists trip_geofence_events_event_type_check;
+
+alter table trip_geofence_events
+add constraint trip_geofence_events_event_type_check
+check (event_type in ('approaching', 'entered', 'exited', 'reached'));
+
+create table if not exists trip_route_deviations (
+  id uuid primary key default gen_random_uuid(),
+  trip_id uuid not null,
+  driver_id uuid not null references drivers (id) on delete cascade,
+  transport_service_id uuid references transport_services (id) on delete set null,
+  status text not null default 'open' check (status in ('open', 'resolved')),
+  started_at timestamptz not null,
+  detected_at timestamptz not null,
+  ended_at timestamptz,
+  max_distance_m double precision,
+  latitude double precision not null,
+  longitude double precision not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_trip_route_deviations_trip_id on trip_route_deviations (trip_id, started_at desc);
+
+create table if not exists trip_safety_events (
+  id uuid primary key default gen_random_uuid(),
+  trip_id uuid not null,
+  driver_id uuid not null references drivers (id) on delete cascade,
+  event_type text not null check (event_type in ('overspeed', 'harsh_acceleration', 'harsh_braking')),
+  started_at timestamptz not null,
+  ended_at timestamptz,
+  speed_kmh double precision,
+  max_speed_kmh double precision,
+  acceleration_ms2 double precision,
+  latitude double precision not null,
+  longitude double precision not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_trip_safety_events_trip_id on trip_safety_events (trip_id, started_at);
+create index if not exists idx_trip_safety_events_driver_id on trip_safety_events (driver_id, started_at desc);
+
+create table if not exists trip_location_flags (
+  id uuid primary key default gen_random_uuid(),
+  trip_id uuid not null,
+  driver_id uuid not null references drivers (id) on delete cascade,
+  reason text not null check (reason in ('impossible_jump', 'mock_location')),
+  rejected_points integer not null default 0,
+  latitude double precision not null,
+  longitude double precision not null,
+  flagged_at timestamptz not null default now(),
+  status text not null default 'open' check (status in ('open', 'dismissed', 'confirmed')),
+  reviewed_at timestamptz,
+  reviewed_by uuid,
+  review_note text
+);
+
+create index if not exists idx_trip_location_flags_status on trip_location_flags (status, flagged_at desc);
+
+alter table driver_trip_sessions add column if not exists trip_phase text not null default 'idle';
+alter table driver_trip_sessions drop constraint if exists driver_trip_sessions_trip_phase_check;
+alter table driver_trip_sessions add constraint driver_trip_sessions_trip_phase_check
+  check (trip_phase in ('idle', 'en_route_to_pickups', 'picking_up', 'en_route_to_school', 'completed'));
+
+create table if not exists trip_phase_transitions (
+  id uuid primary key default gen_random_uuid(),
+  trip_id uuid not null,
+  driver_id uuid not null references drivers (id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  from_phase text,
+  to_phase text not null,
+  source text not null check (source in ('driver', 'location', 'system')),
+  latitude double precision,
+  longitude double precision,
+  transitioned_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_trip_phase_transitions_trip_id on trip_phase_transitions (trip_id, transitioned_at);
+
+alter table driver_trip_sessions add column if not exists status_reason text;
+
+create table if not exists trip_child_events (
+  id uuid primary key default gen_random_uuid(),
+  trip_id uuid not null,
+  driver_id uuid not null references drivers (id) on delete cascade,
+  child_id uuid not null references children (id) on delete cascade,
+  event_type text not null check (event_type in ('boarded', 'absent', 'dropped')),
+  note text,
+  latitude double precision,
+  longitude double precision,
+  location_recorded_at timestamptz,
+  recorded_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_trip_child_events_trip_id on trip_child_events (trip_id, recorded_at);
+
+alter table driver_trip_sessions add column if not exists manifest jsonb;
+alter table driver_trip_sessions add column if not exists service_date date;
+
+create index if not exists idx_driver_trip_sessions_service_date on driver_trip_sessions (driver_id, service_date);
+
+alter table driver_trip_sessions add column if not exists end_override_reason text;
+
+create table if not exists trip_summaries (
+  trip_id uuid primary key,
+  driver_id uuid not null references drivers (id) on delete cascade,
+  summary jsonb not null,
+  generated_at timestamptz not null default now()
+);
+
+create index if not exists idx_trip_summaries_driver_id on trip_summaries (driver_id, generated_at desc);
+
+create table if not exists planned_trips (
+  trip_id uuid primary key default gen_random_uuid(),
+  driver_id uuid not null references drivers (id) on delete cascade,
+  transport_service_id uuid not null references transport_services (id) on delete cascade,
+  service_date date not null,
+  run text not null check (run in ('morning', 'afternoon')),
+  scheduled_start_at timestamptz not null,
+  scheduled_end_at timestamptz,
+  started_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (transport_service_id, service_date, run)
+);
+
+create index if not exists idx_planned_trips_driver_date on planned_trips (driver_id, service_date);
+create index if not exists idx_planned_trips_unstarted on planned_trips (service_date, scheduled_start_at) where started_at is null;
+
+-- Set when the driver app started the planned run under a trip id of its own.
+alter table planned_trips add column if not exists session_trip_id uuid unique;
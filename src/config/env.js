@@ -18,6 +18,35 @@ const envSchema = z.object({
   TRACKING_RETENTION_ENABLED: z.string().default("true"),
   TRACKING_RETENTION_DAYS: z.string().default("30"),
   TRACKING_RETENTION_INTERVAL_MINUTES: z.string().default("720"),
+  TRACKING_HISTORY_FLUSH_INTERVAL_MS: z.string().default("2000"),
+  TRACKING_HISTORY_FLUSH_BATCH_SIZE: z.string().default("200"),
+  TRACKING_HISTORY_BUFFER_MAX_POINTS: z.string().default("10000"),
+  TRACKING_APPROACH_RADIUS_METERS: z.string().default("800"),
+  TRACKING_APPROACH_MINUTES: z.string().default("5"),
+  TRACKING_ROUTE_CORRIDOR_METERS: z.string().default("400"),
+  TRACKING_ROUTE_DEVIATION_SECONDS: z.string().default("120"),
+  TRACKING_SPEED_LIMIT_KMH: z.string().default("70"),
+  TRACKING_OVERSPEED_SECONDS: z.string().default("20"),
+  TRACKING_HARSH_ACCELERATION_MS2: z.string().default("3"),
+  TRACKING_HARSH_BRAKING_MS2: z.string().default("3.5"),
+  TRACKING_MAX_ACCURACY_METERS: z.string().default("100"),
+  TRACKING_MAX_PLAUSIBLE_SPEED_KMH: z.string().default("160"),
+  TRACKING_JITTER_METERS: z.string().default("15"),
+  TRACKING_SPOOF_WINDOW_SECONDS: z.string().default("300"),
+  TRACKING_SPOOF_MIN_REJECTIONS: z.string().default("3"),
+  TRACKING_STALE_SECONDS: z.string().default("60"),
+  TRACKING_SILENT_ALERT_MINUTES: z.string().default("5"),
+  TRACKING_PRESENCE_SWEEP_SECONDS: z.string().default("30"),
+  TRACKING_AUTO_CLOSE_ENABLED: z.string().default("true"),
+  TRACKING_AUTO_CLOSE_INTERVAL_MINUTES: z.string().default("1"),
+  TRACKING_AUTO_PAUSE_IDLE_MINUTES: z.string().default("20"),
+  TRACKING_AUTO_COMPLETE_AFTER_SCHOOL_MINUTES: z.string().default("15"),
+  TRACKING_MAX_TRIP_MINUTES: z.string().default("240"),
+  TRACKING_TIME_ZONE: z.string().default("Asia/Colombo"),
+  TRACKING_SCHEDULING_ENABLED: z.string().default("true"),
+  TRACKING_SCHEDULING_INTERVAL_MINUTES: z.string().default("60"),
+  TRACKING_SCHEDULING_DAYS_AHEAD: z.string().default("1"),
+  TRACKING_MISSED_TRIP_GRACE_MINUTES: z.string().default("30"),
 });
 
 const parsed = envSchema.safeParse(process.env);
@@ -37,4 +66,32 @@ export const env = {
   TRACKING_RETENTION_ENABLED: parsed.data.TRACKING_RETENTION_ENABLED?.toLowerCase() !== "false",
   TRACKING_RETENTION_DAYS: Number(parsed.data.TRACKING_RETENTION_DAYS),
   TRACKING_RETENTION_INTERVAL_MINUTES: Number(parsed.data.TRACKING_RETENTION_INTERVAL_MINUTES),
+  TRACKING_HISTORY_FLUSH_INTERVAL_MS: Number(parsed.data.TRACKING_HISTORY_FLUSH_INTERVAL_MS),
+  TRACKING_HISTORY_FLUSH_BATCH_SIZE: Number(parsed.data.TRACKING_HISTORY_FLUSH_BATCH_SIZE),
+  TRACKING_HISTORY_BUFFER_MAX_POINTS: Number(parsed.data.TRACKING_HISTORY_BUFFER_MAX_POINTS),
+  TRACKING_APPROACH_RADIUS_METERS: Number(parsed.data.TRACKING_APPROACH_RADIUS_METERS),
+  TRACKING_APPROACH_MINUTES: Number(parsed.data.TRACKING_APPROACH_MINUTES),
+  TRACKING_ROUTE_CORRIDOR_METERS: Number(parsed.data.TRACKING_ROUTE_CORRIDOR_METERS),
+  TRACKING_ROUTE_DEVIATION_SECONDS: Number(parsed.data.TRACKING_ROUTE_DEVIATION_SECONDS),
+  TRACKING_SPEED_LIMIT_KMH: Number(parsed.data.TRACKING_SPEED_LIMIT_KMH),
+  TRACKING_OVERSPEED_SECONDS: Number(parsed.data.TRACKING_OVERSPEED_SECONDS),
+  TRACKING_HARSH_ACCELERATION_MS2: Number(parsed.data.TRACKING_HARSH_ACCELERATION_MS2),
+  TRACKING_HARSH_BRAKING_MS2: Number(parsed.data.TRACKING_HARSH_BRAKING_MS2),
+  TRACKING_MAX_ACCURACY_METERS: Number(parsed.data.TRACKING_MAX_ACCURACY_METERS),
+  TRACKING_MAX_PLAUSIBLE_SPEED_KMH: Number(parsed.data.TRACKING_MAX_PLAUSIBLE_SPEED_KMH),
+  TRACKING_JITTER_METERS: Number(parsed.data.TRACKING_JITTER_METERS),
+  TRACKING_SPOOF_WINDOW_SECONDS: Number(parsed.data.TRACKING_SPOOF_WINDOW_SECONDS),
+  TRACKING_SPOOF_MIN_REJECTIONS: Number(parsed.data.TRACKING_SPOOF_MIN_REJECTIONS),
+  TRACKING_STALE_SECONDS: Number(parsed.data.TRACKING_STALE_SECONDS),
+  TRACKING_SILENT_ALERT_MINUTES: Number(parsed.data.TRACKING_SILENT_ALERT_MINUTES),
+  TRACKING_PRESENCE_SWEEP_SECONDS: Number(parsed.data.TRACKING_PRESENCE_SWEEP_SECONDS),
+  TRACKING_AUTO_CLOSE_ENABLED: parsed.data.TRACKING_AUTO_CLOSE_ENABLED?.toLowerCase() !== "false",
+  TRACKING_AUTO_CLOSE_INTERVAL_MINUTES: Number(parsed.data.TRACKING_AUTO_CLOSE_INTERVAL_MINUTES),
+  TRACKING_AUTO_PAUSE_IDLE_MINUTES: Number(parsed.data.TRACKING_AUTO_PAUSE_IDLE_MINUTES),
+  TRACKING_AUTO_COMPLETE_AFTER_SCHOOL_MINUTES: Number(parsed.data.TRACKING_AUTO_COMPLETE_AFTER_SCHOOL_MINUTES),
+  TRACKING_MAX_TRIP_MINUTES: Number(parsed.data.TRACKING_MAX_TRIP_MINUTES),
+  TRACKING_SCHEDULING_ENABLED: parsed.data.TRACKING_SCHEDULING_ENABLED?.toLowerCase() !== "false",
+  TRACKING_SCHEDULING_INTERVAL_MINUTES: Number(parsed.data.TRACKING_SCHEDULING_INTERVAL_MINUTES),
+  TRACKING_SCHEDULING_DAYS_AHEAD: Number(parsed.data.TRACKING_SCHEDULING_DAYS_AHEAD),
+  TRACKING_MISSED_TRIP_GRACE_MINUTES: Number(parsed.data.TRACKING_MISSED_TRIP_GRACE_MINUTES),
 };
\ No newline at end of file
@@ -24,6 +24,63 @@ export const NOTIFICATION_STRINGS = {
   CHAT: {
     NEW_MESSAGE: "New Message",
   },
+  TRIPS: {
+    PICKUP_REACHED: {
+      title: "🚐 Van Arrived",
+      body: "The van has reached your child's pickup point. Please bring your child out.",
+    },
+    SCHOOL_REACHED: {
+      title: "🏫 Arrived at School",
+      body: "The van has reached the school.",
+    },
+    ROUTE_DEVIATION: {
+      title: "🗺️ Route Deviation",
+      body: "The van has left its usual route. We are checking with the driver.",
+    },
+    TRIP_STARTED: {
+      title: "🚐 Trip Started",
+      body: "Your driver has started the trip. You can follow the van live on the map.",
+    },
+    TRIP_ENDED: {
+      title: "✅ Trip Ended",
+      body: "Your driver has ended the trip.",
+    },
+    // {childName} is replaced with the child's name before sending.
+    CHILD_BOARDED: {
+      title: "🚐 On Board",
+      body: "{childName} is now on the van.",
+    },
+    CHILD_ABSENT: {
+      title: "❓ Not at Pickup",
+      body: "{childName} was not at the pickup point, so the van moved on.",
+    },
+    CHILD_DROPPED: {
+      title: "✅ Dropped Off",
+      body: "{childName} has been dropped off safely.",
+    },
+    CHILD_LEFT_ON_BOARD: {
+      title: "⚠️ Trip Ended Without Drop-off",
+      body: "The driver ended the trip but {childName} was never marked as dropped off. Our team has been alerted.",
+    },
+  },
+  ADMINS: {
+    ROUTE_DEVIATION: {
+      title: "🗺️ Van Off Route",
+      body: "A van has stayed off its declared route. Open the admin panel to review the trip.",
+    },
+    TRIP_SILENT: {
+      title: "📵 Driver Not Responding",
+      body: "An active trip has not sent a location for several minutes. Please contact the driver.",
+    },
+    LOCATION_SPOOFING: {
+      title: "🛰️ Suspicious GPS Stream",
+      body: "A driver's location stream keeps jumping or reports mock locations. Review it in the admin panel.",
+    },
+    CHILDREN_LEFT_ON_BOARD: {
+      title: "🚸 Trip Force-Ended",
+      body: "A driver ended a trip with children still marked on board. Contact the driver immediately.",
+    },
+  },
   EMERGENCIES: {
     // --- CRITICAL ---
     VEHICLE_BREAKDOWN: {
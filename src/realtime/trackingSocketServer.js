@@ -1,38 +1,158 @@
 import { Server } from "socket.io";
 import { z } from "zod";
 import { createSocketJwtMiddleware } from "./socketJwtAuth.js";
+import { registerTripReplayNamespace } from "./tripReplayNamespace.js";
 import { env } from "../config/env.js";
+import { childTripEventSchema, locationBatchSchema, locationUpdateSchema } from "../utils/trackingSchemas.js";
 import {
   canSupabaseUserAccessTrip,
+  filterItemsForChildren,
   getDriverIdBySupabaseUserId,
+  getParentChildIdsByDriver,
+  getParentChildIdsForDriver,
+  getParentIdBySupabaseUserId,
+  isSupabaseUserAdmin,
+  listOpenTripsForDrivers,
   saveDriverLocation,
+  saveDriverLocationBatch,
 } from "../services/trackingService.js";
+import { LOCATION_REJECTION_MESSAGES } from "../services/locationFilterService.js";
+import { forgetDriverPresence, recordDriverSeen, sweepDriverPresence } from "../services/driverPresenceService.js";
+import { recordChildTripEvent } from "../services/childTripEventService.js";
 
 const tripSubscribeSchema = z.object({
   tripId: z.string().uuid(),
 });
 
-const locationUpdateSchema = z.object({
-  tripId: z.string().uuid(),
-  latitude: z.number().min(-90).max(90),
-  longitude: z.number().min(-180).max(180),
-  speedKmh: z.number().min(0).max(250).optional().nullable(),
-  heading: z.number().min(0).max(360).optional().nullable(),
-  accuracyM: z.number().min(0).max(5000).optional().nullable(),
-  tripPhase: z.enum(["idle", "en_route_to_pickups", "picking_up", "en_route_to_school", "completed"]),
-  recordedAt: z.string().datetime().optional(),
-});
+// Operations staff watching the whole fleet get every trip's locations and status changes.
+const ADMIN_FLEET_ROOM = "admin:fleet";
 
 function tripRoom(tripId) {
   return `trip:${tripId}`;
 }
 
+// Parents who subscribed to their children wait here for the driver's next trip.
+function driverRoom(driverId) {
+  return `driver:${driverId}`;
+}
+
+function rememberTripChildIds(socket, tripId, childIds) {
+  socket.data.tripChildIds = {
+    ...(socket.data.tripChildIds ?? {}),
+    [tripId]: childIds,
+  };
+}
+
 function sendAck(ack, payload) {
   if (typeof ack === "function") {
     ack(payload);
   }
 }
 
+/**
+ * Marks the trip's driver as seen and, if they had been reported offline, tells the room.
+ */
+export function announceDriverSeen(io, tripId, driverId) {
+  if (recordDriverSeen(tripId)) {
+    io.to(tripRoom(tripId)).to(ADMIN_FLEET_ROOM).emit("trip:driver_online", {
+      tripId,
+      driverId,
+      lastSeenAt: new Date().toISOString(),
+    });
+  }
+}
+
+export async function broadcastTripLocation(io, saved) {
+  announceDriverSeen(io, saved.tripId, saved.driverId);
+
+  const { etas = [], statusChange, ...location } = saved;
+  io.to(ADMIN_FLEET_ROOM).emit("trip:location_broadcast", { ...location, etas });
+
+  const sockets = await io.in(tripRoom(saved.tripId)).fetchSockets();
+
+  // Parents only receive ETAs and events for their own children's stops; drivers see every stop.
+  for (const roomSocket of sockets) {
+    const childIds = roomSocket.data.tripChildIds?.[saved.tripId];
+    roomSocket.emit("trip:location_broadcast", {
+      ...location,
+      etas: childIds ? filterItemsForChildren(etas, childIds) : etas,
+      geofenceEvents: childIds ? filterItemsForChildren(location.geofenceEvents, childIds) : location.geofenceEvents,
+    });
+  }
+}
+
+export async function broadcastGeofenceEvents(io, tripId, geofenceEvents) {
+  if (!Array.isArray(geofenceEvents) || geofenceEvents.length === 0) {
+    return;
+  }
+
+  const sockets = await io.in(tripRoom(tripId)).fetchSockets();
+  for (const roomSocket of sockets) {
+    const childIds = roomSocket.data.tripChildIds?.[tripId];
+    const visibleEvents = childIds ? filterItemsForChildren(geofenceEvents, childIds) : geofenceEvents;
+    for (const geofenceEvent of visibleEvents) {
+      roomSocket.emit("trip:geofence_event", geofenceEvent);
+    }
+  }
+}
+
+/**
+ * Sends a boarding, absence or drop-off to the driver, admins and the child's own parent only.
+ */
+export async function broadcastChildTripEvent(io, childEvent) {
+  io.to(ADMIN_FLEET_ROOM).emit("trip:child_event", childEvent);
+
+  const sockets = await io.in(tripRoom(childEvent.tripId)).fetchSockets();
+  for (const roomSocket of sockets) {
+    const childIds = roomSocket.data.tripChildIds?.[childEvent.tripId];
+    if (!childIds || childIds.includes(childEvent.childId)) {
+      roomSocket.emit("trip:child_event", childEvent);
+    }
+  }
+}
+
+/**
+ * Tells everyone watching the trip that it started, paused or ended, so parents do not have to
+ * infer it from points no longer arriving. Parents waiting in the driver's room are moved into
+ * the trip room first, so they receive this event too.
+ */
+export async function broadcastTripStatusChanged(io, session) {
+  // Paused and ended trips are expected to be quiet.
+  if (session.status !== "active") {
+    forgetDriverPresence(session.tripId);
+  } else {
+    recordDriverSeen(session.tripId);
+
+    const waitingSockets = await io.in(driverRoom(session.driverId)).fetchSockets();
+    for (const waitingSocket of waitingSockets) {
+      rememberTripChildIds(waitingSocket, session.tripId, waitingSocket.data.driverChildIds?.[session.driverId] ?? []);
+      waitingSocket.join(tripRoom(session.tripId));
+    }
+  }
+
+  io.to(tripRoom(session.tripId)).to(ADMIN_FLEET_ROOM).emit("trip:status_changed", {
+    tripId: session.tripId,
+    driverId: session.driverId,
+    status: session.status,
+    previousStatus: session.previousStatus ?? null,
+    tripPhase: session.tripPhase,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    updatedAt: session.updatedAt,
+  });
+}
+
+/**
+ * Tells trip rooms and admins about drivers that stopped sending locations. Run by the server's
+ * background scheduler every `TRACKING_PRESENCE_SWEEP_SECONDS`.
+ */
+export async function broadcastOfflineDrivers(io) {
+  const wentOffline = await sweepDriverPresence();
+  for (const offlineTrip of wentOffline) {
+    io.to(tripRoom(offlineTrip.tripId)).to(ADMIN_FLEET_ROOM).emit("trip:driver_offline", offlineTrip);
+  }
+}
+
 export function registerTrackingSocketServer(fastify) {
   const io = new Server(fastify.server, {
     cors: {
@@ -43,6 +163,7 @@ export function registerTrackingSocketServer(fastify) {
   });
 
   io.use(createSocketJwtMiddleware());
+  registerTripReplayNamespace(fastify, io);
 
   io.on("connection", (socket) => {
     const userId = socket.data.user?.id;
@@ -67,6 +188,9 @@ export function registerTrackingSocketServer(fastify) {
           return;
         }
 
+        const childIds = await getParentChildIdsForDriver(access.parentId, access.driverId);
+        rememberTripChildIds(socket, parse.data.tripId, childIds);
+
         await socket.join(tripRoom(parse.data.tripId));
         sendAck(ack, { ok: true, room: tripRoom(parse.data.tripId) });
       } catch (error) {
@@ -75,6 +199,78 @@ export function registerTrackingSocketServer(fastify) {
       }
     });
 
+    socket.on("parent:subscribe_children", async (_payload, ack) => {
+      if (!userId) {
+        sendAck(ack, { ok: false, message: "Unauthenticated" });
+        return;
+      }
+
+      try {
+        const parentId = await getParentIdBySupabaseUserId(userId);
+        if (!parentId) {
+          sendAck(ack, { ok: false, message: "Only parents can subscribe to their children" });
+          return;
+        }
+
+        const linkedDrivers = await getParentChildIdsByDriver(parentId);
+        const linkedDriverIds = new Set(linkedDrivers.map(({ driverId }) => driverId));
+
+        // A repeat subscribe replaces the earlier one: drop drivers that are no longer linked.
+        for (const previousDriverId of Object.keys(socket.data.driverChildIds ?? {})) {
+          if (!linkedDriverIds.has(previousDriverId)) {
+            await socket.leave(driverRoom(previousDriverId));
+          }
+        }
+
+        socket.data.driverChildIds = {};
+        for (const { driverId, childIds } of linkedDrivers) {
+          socket.data.driverChildIds[driverId] = childIds;
+          await socket.join(driverRoom(driverId));
+        }
+
+        const openTrips = await listOpenTripsForDrivers(linkedDrivers.map(({ driverId }) => driverId));
+        for (const trip of openTrips) {
+          rememberTripChildIds(socket, trip.tripId, socket.data.driverChildIds[trip.driverId]);
+          await socket.join(tripRoom(trip.tripId));
+        }
+
+        sendAck(ack, {
+          ok: true,
+          driverIds: linkedDrivers.map(({ driverId }) => driverId),
+          trips: openTrips.map((trip) => ({
+            tripId: trip.tripId,
+            driverId: trip.driverId,
+            status: trip.status,
+            tripPhase: trip.tripPhase,
+          })),
+        });
+      } catch (error) {
+        fastify.log.error({ error, userId }, "Failed to subscribe parent to children's trips");
+        sendAck(ack, { ok: false, message: "Subscription failed" });
+      }
+    });
+
+    socket.on("admin:subscribe_fleet", async (_payload, ack) => {
+      if (!userId) {
+        sendAck(ack, { ok: false, message: "Unauthenticated" });
+        return;
+      }
+
+      try {
+        const isAdmin = await isSupabaseUserAdmin(userId);
+        if (!isAdmin) {
+          sendAck(ack, { ok: false, message: "Admin access required" });
+          return;
+        }
+
+        await socket.join(ADMIN_FLEET_ROOM);
+        sendAck(ack, { ok: true, room: ADMIN_FLEET_ROOM });
+      } catch (error) {
+        fastify.log.error({ error, userId }, "Failed to subscribe admin to fleet room");
+        sendAck(ack, { ok: false, message: "Subscription failed" });
+      }
+    });
+
     socket.on("driver:location_update", async (payload, ack) => {
       if (!userId) {
         sendAck(ack, { ok: false, message: "Unauthenticated" });
@@ -99,22 +295,154 @@ export function registerTrackingSocketServer(fastify) {
           driverId,
         });
 
-        await socket.join(tripRoom(saved.tripId));
-        io.to(tripRoom(saved.tripId)).emit("trip:location_broadcast", saved);
+        if (saved.rejectedReason) {
+          announceDriverSeen(io, saved.tripId, driverId);
+          sendAck(ack, {
+            ok: false,
+            rejected: true,
+            reason: saved.rejectedReason,
+            message: LOCATION_REJECTION_MESSAGES[saved.rejectedReason],
+          });
+          return;
+        }
 
-        if (Array.isArray(saved.geofenceEvents) && saved.geofenceEvents.length > 0) {
-          for (const geofenceEvent of saved.geofenceEvents) {
-            io.to(tripRoom(saved.tripId)).emit("trip:geofence_event", geofenceEvent);
-          }
+        await socket.join(tripRoom(saved.tripId));
+        if (saved.statusChange) {
+          await broadcastTripStatusChanged(io, saved.statusChange);
         }
+        await broadcastTripLocation(io, saved);
+        await broadcastGeofenceEvents(io, saved.tripId, saved.geofenceEvents);
 
         sendAck(ack, { ok: true, recordedAt: saved.recordedAt });
       } catch (error) {
+        if (error.statusCode) {
+          sendAck(ack, { ok: false, message: error.message });
+          return;
+        }
         fastify.log.error({ error, userId }, "Failed to process driver location update");
         sendAck(ack, { ok: false, message: "Location update failed" });
       }
     });
 
+    socket.on("driver:heartbeat", async (payload, ack) => {
+      if (!userId) {
+        sendAck(ack, { ok: false, message: "Unauthenticated" });
+        return;
+      }
+
+      const parse = tripSubscribeSchema.safeParse(payload ?? {});
+      if (!parse.success) {
+        sendAck(ack, { ok: false, message: "Invalid heartbeat payload", errors: parse.error.format() });
+        return;
+      }
+
+      try {
+        const { tripId } = parse.data;
+        socket.data.heartbeatDriverIds ??= {};
+        if (!socket.data.heartbeatDriverIds[tripId]) {
+          const access = await canSupabaseUserAccessTrip(userId, tripId);
+          if (!access.allowed || access.userType !== "driver") {
+            sendAck(ack, { ok: false, message: access.reason ?? "Forbidden" });
+            return;
+          }
+          socket.data.heartbeatDriverIds[tripId] = access.driverId;
+        }
+
+        announceDriverSeen(io, tripId, socket.data.heartbeatDriverIds[tripId]);
+        sendAck(ack, { ok: true, serverTime: new Date().toISOString() });
+      } catch (error) {
+        fastify.log.error({ error, userId }, "Failed to process driver heartbeat");
+        sendAck(ack, { ok: false, message: "Heartbeat failed" });
+      }
+    });
+
+    socket.on("driver:location_batch", async (payload, ack) => {
+      if (!userId) {
+        sendAck(ack, { ok: false, message: "Unauthenticated" });
+        return;
+      }
+
+      const parse = locationBatchSchema.safeParse(payload ?? {});
+      if (!parse.success) {
+        sendAck(ack, { ok: false, message: "Invalid location batch payload", errors: parse.error.format() });
+        return;
+      }
+
+      try {
+        const driverId = await getDriverIdBySupabaseUserId(userId);
+        if (!driverId) {
+          sendAck(ack, { ok: false, message: "Only drivers can publish location" });
+          return;
+        }
+
+        const result = await saveDriverLocationBatch({
+          ...parse.data,
+          driverId,
+        });
+
+        await socket.join(tripRoom(result.tripId));
+        if (result.statusChange) {
+          await broadcastTripStatusChanged(io, result.statusChange);
+        }
+        if (result.latest) {
+          await broadcastTripLocation(io, result.latest);
+        }
+        await broadcastGeofenceEvents(io, result.tripId, result.geofenceEvents);
+
+        sendAck(ack, {
+          ok: true,
+          acceptedPoints: result.acceptedPoints,
+          rejectedPoints: result.rejectedPoints,
+          rejectedReasons: result.rejectedReasons,
+          historyPoints: result.historyPoints,
+          latestAdvanced: Boolean(result.latest),
+        });
+      } catch (error) {
+        if (error.statusCode) {
+          sendAck(ack, { ok: false, message: error.message });
+          return;
+        }
+        fastify.log.error({ error, userId }, "Failed to process driver location batch");
+        sendAck(ack, { ok: false, message: "Location batch failed" });
+      }
+    });
+
+    socket.on("driver:child_event", async (payload, ack) => {
+      if (!userId) {
+        sendAck(ack, { ok: false, message: "Unauthenticated" });
+        return;
+      }
+
+      const parse = childTripEventSchema.safeParse(payload ?? {});
+      if (!parse.success) {
+        sendAck(ack, { ok: false, message: "Invalid child event payload", errors: parse.error.format() });
+        return;
+      }
+
+      try {
+        const driverId = await getDriverIdBySupabaseUserId(userId);
+        if (!driverId) {
+          sendAck(ack, { ok: false, message: "Only drivers can update children on a trip" });
+          return;
+        }
+
+        const childEvent = await recordChildTripEvent({
+          ...parse.data,
+          driverId,
+        });
+        await broadcastChildTripEvent(io, childEvent);
+
+        sendAck(ack, { ok: true, event: childEvent });
+      } catch (error) {
+        if (error.statusCode) {
+          sendAck(ack, { ok: false, message: error.message });
+          return;
+        }
+        fastify.log.error({ error, userId }, "Failed to record child trip event");
+        sendAck(ack, { ok: false, message: "Child event failed" });
+      }
+    });
+
     socket.on("disconnect", (reason) => {
       fastify.log.info({ socketId: socket.id, reason, userId }, "Tracking socket disconnected");
     });
@@ -0,0 +1,270 @@
+import { z } from "zod";
+import { createSocketJwtMiddleware } from "./socketJwtAuth.js";
+import { getTripPlayback, isSupabaseUserAdmin, listAllTripGeofenceEvents } from "../services/trackingService.js";
+
+const REPLAY_NAMESPACE = "/admin/replay";
+const REPLAY_MIN_SPEED = 1;
+const REPLAY_MAX_SPEED = 60;
+
+const replaySpeedSchema = z.number().min(REPLAY_MIN_SPEED).max(REPLAY_MAX_SPEED);
+
+const replayStartSchema = z.object({
+  tripId: z.string().uuid(),
+  speed: replaySpeedSchema.optional(),
+});
+
+const replaySeekSchema = z.object({
+  at: z.string().datetime(),
+});
+
+const replaySpeedChangeSchema = z.object({
+  speed: replaySpeedSchema,
+});
+
+function sendAck(ack, payload) {
+  if (typeof ack === "function") {
+    ack(payload);
+  }
+}
+
+function timeMs(iso) {
+  return new Date(iso).getTime();
+}
+
+/**
+ * Points and geofence events merged into one list in trip time. Points use the
+ * `trip:location_broadcast` shape; events are emitted separately, as in a live trip.
+ */
+async function loadReplayTimeline(tripId) {
+  const [playback, geofenceEvents] = await Promise.all([
+    getTripPlayback(tripId, { wholeTrip: true }),
+    listAllTripGeofenceEvents(tripId),
+  ]);
+
+  const pointItems = playback.points.map((point) => ({
+    at: timeMs(point.recordedAt),
+    event: "trip:location_broadcast",
+    payload: { ...point, geofenceEvents: [], etas: [], replay: true },
+  }));
+
+  const geofenceItems = geofenceEvents.map((geofenceEvent) => ({
+    at: timeMs(geofenceEvent.recordedAt),
+    event: "trip:geofence_event",
+    payload: { ...geofenceEvent, replay: true },
+  }));
+
+  return [...pointItems, ...geofenceItems].sort((itemA, itemB) => itemA.at - itemB.at);
+}
+
+function createReplay(socket, tripId, timeline, speed) {
+  const replay = {
+    tripId,
+    timeline,
+    speed,
+    index: 0,
+    status: "paused",
+    positionMs: timeline[0].at,
+    clockStartedAt: null,
+    timer: null,
+  };
+
+  function currentPositionMs() {
+    if (replay.status !== "playing") {
+      return replay.positionMs;
+    }
+    return replay.positionMs + (Date.now() - replay.clockStartedAt) * replay.speed;
+  }
+
+  function state() {
+    return {
+      tripId,
+      status: replay.status,
+      speed: replay.speed,
+      positionAt: new Date(currentPositionMs()).toISOString(),
+      startedAt: new Date(timeline[0].at).toISOString(),
+      endedAt: new Date(timeline[timeline.length - 1].at).toISOString(),
+      totalItems: timeline.length,
+      emittedItems: replay.index,
+    };
+  }
+
+  function clearTimer() {
+    if (replay.timer) {
+      clearTimeout(replay.timer);
+      replay.timer = null;
+    }
+  }
+
+  // Anchors the trip clock so later speed changes and pauses do not jump the position.
+  function freezeClock() {
+    replay.positionMs = currentPositionMs();
+    replay.clockStartedAt = Date.now();
+  }
+
+  function scheduleNext() {
+    clearTimer();
+    if (replay.status !== "playing") {
+      return;
+    }
+
+    if (replay.index >= timeline.length) {
+      replay.status = "ended";
+      replay.positionMs = timeline[timeline.length - 1].at;
+      socket.emit("replay:state", state());
+      return;
+    }
+
+    const nextItem = timeline[replay.index];
+    const delayMs = Math.max(0, (nextItem.at - currentPositionMs()) / replay.speed);
+    replay.timer = setTimeout(() => {
+      socket.emit(nextItem.event, nextItem.payload);
+      replay.index += 1;
+      scheduleNext();
+    }, delayMs);
+  }
+
+  return {
+    state,
+    play() {
+      if (replay.status === "ended") {
+        replay.index = 0;
+        replay.positionMs = timeline[0].at;
+      }
+      replay.status = "playing";
+      replay.clockStartedAt = Date.now();
+      scheduleNext();
+    },
+    pause() {
+      if (replay.status !== "playing") {
+        return;
+      }
+      freezeClock();
+      replay.status = "paused";
+      clearTimer();
+    },
+    setSpeed(speed) {
+      freezeClock();
+      replay.speed = speed;
+      scheduleNext();
+    },
+    seek(atMs) {
+      const targetMs = Math.min(Math.max(atMs, timeline[0].at), timeline[timeline.length - 1].at);
+      replay.index = timeline.findIndex((item) => item.at >= targetMs);
+      replay.positionMs = targetMs;
+      replay.clockStartedAt = Date.now();
+      if (replay.status === "ended") {
+        replay.status = "paused";
+      }
+
+      // Show the van where it was at the seek position instead of waiting for the next point.
+      const previousPoint = timeline
+        .slice(0, replay.index)
+        .reverse()
+        .find((item) => item.event === "trip:location_broadcast");
+      if (previousPoint) {
+        socket.emit(previousPoint.event, previousPoint.payload);
+      }
+
+      scheduleNext();
+    },
+    stop() {
+      clearTimer();
+      replay.status = "stopped";
+    },
+  };
+}
+
+/**
+ * Admin-only namespace for watching a stored trip again. Each socket runs at most one replay;
+ * points and geofence events are emitted with the live payload shapes, spaced by their original
+ * timing divided by the chosen speed.
+ */
+export function registerTripReplayNamespace(fastify, io) {
+  const namespace = io.of(REPLAY_NAMESPACE);
+
+  namespace.use(createSocketJwtMiddleware());
+  namespace.use(async (socket, next) => {
+    try {
+      const isAdmin = await isSupabaseUserAdmin(socket.data.user.id);
+      return isAdmin ? next() : next(new Error("Admin access required"));
+    } catch (_error) {
+      return next(new Error("Admin access required"));
+    }
+  });
+
+  namespace.on("connection", (socket) => {
+    const userId = socket.data.user?.id;
+    let replay = null;
+
+    function withReplay(ack, action) {
+      if (!replay) {
+        sendAck(ack, { ok: false, message: "No replay running" });
+        return;
+      }
+      action(replay);
+      socket.emit("replay:state", replay.state());
+      sendAck(ack, { ok: true, ...replay.state() });
+    }
+
+    socket.on("replay:start", async (payload, ack) => {
+      const parse = replayStartSchema.safeParse(payload ?? {});
+      if (!parse.success) {
+        sendAck(ack, { ok: false, message: "Invalid replay payload", errors: parse.error.format() });
+        return;
+      }
+
+      try {
+        const timeline = await loadReplayTimeline(parse.data.tripId);
+        if (!timeline.length) {
+          sendAck(ack, { ok: false, message: "No stored points for this trip" });
+          return;
+        }
+
+        replay?.stop();
+        replay = createReplay(socket, parse.data.tripId, timeline, parse.data.speed ?? REPLAY_MIN_SPEED);
+        replay.play();
+        socket.emit("replay:state", replay.state());
+        sendAck(ack, { ok: true, ...replay.state() });
+      } catch (error) {
+        fastify.log.error({ error, userId }, "Failed to start trip replay");
+        sendAck(ack, { ok: false, message: "Replay failed to start" });
+      }
+    });
+
+    socket.on("replay:pause", (_payload, ack) => {
+      withReplay(ack, (activeReplay) => activeReplay.pause());
+    });
+
+    socket.on("replay:resume", (_payload, ack) => {
+      withReplay(ack, (activeReplay) => activeReplay.play());
+    });
+
+    socket.on("replay:speed", (payload, ack) => {
+      const parse = replaySpeedChangeSchema.safeParse(payload ?? {});
+      if (!parse.success) {
+        sendAck(ack, { ok: false, message: "Invalid replay speed", errors: parse.error.format() });
+        return;
+      }
+      withReplay(ack, (activeReplay) => activeReplay.setSpeed(parse.data.speed));
+    });
+
+    socket.on("replay:seek", (payload, ack) => {
+      const parse = replaySeekSchema.safeParse(payload ?? {});
+      if (!parse.success) {
+        sendAck(ack, { ok: false, message: "Invalid seek position", errors: parse.error.format() });
+        return;
+      }
+      withReplay(ack, (activeReplay) => activeReplay.seek(timeMs(parse.data.at)));
+    });
+
+    socket.on("replay:stop", (_payload, ack) => {
+      withReplay(ack, (activeReplay) => activeReplay.stop());
+      replay = null;
+    });
+
+    socket.on("disconnect", () => {
+      replay?.stop();
+      replay = null;
+    });
+  });
+}
@@ -1,13 +1,24 @@
 import { z } from "zod";
 import { verifySupabaseJwt } from "../middleware/verifySupabaseJwt.js";
 import { supabase } from "../config/supabaseClient.js";
+import { env } from "../config/env.js";
 import {
+  decodePlaybackCursor,
   getTripPlayback,
   getTripGeofenceEvents,
+  listAllTripGeofenceEvents,
   listDriverTripSessions,
   resolveTripDriverId,
   upsertTripGeofencePoint,
 } from "../services/trackingService.js";
+import { listTripRouteDeviations } from "../services/routeDeviationService.js";
+import { getDriverSafetyScore, getTripSafetyReport } from "../services/drivingSafetyService.js";
+import { listLocationFlags, reviewLocationFlag } from "../services/locationFilterService.js";
+import { listActiveTripsOverview } from "../services/fleetOverviewService.js";
+import { listMissedPlannedTrips } from "../services/tripScheduleService.js";
+import { buildPlaybackExport } from "../utils/trackExport.js";
+import { getServiceDate } from "../utils/tripTime.js";
+import { playbackQuerySchema } from "../utils/trackingSchemas.js";
 
 // Validation for status updates
 const statusUpdateSchema = z.object({
@@ -15,11 +26,22 @@ const statusUpdateSchema = z.object({
   reason: z.string().optional(),
 });
 
-const playbackQuerySchema = z.object({
-  from: z.string().datetime().optional(),
-  to: z.string().datetime().optional(),
-  limit: z.coerce.number().int().positive().max(1000).optional(),
-  order: z.enum(["asc", "desc"]).optional(),
+const safetyWindowQuerySchema = z.object({
+  days: z.coerce.number().int().positive().max(365).optional(),
+});
+
+const locationFlagQuerySchema = z.object({
+  status: z.enum(["open", "dismissed", "confirmed"]).optional(),
+  limit: z.coerce.number().int().positive().max(500).optional(),
+});
+
+const locationFlagReviewSchema = z.object({
+  status: z.enum(["dismissed", "confirmed"]),
+  note: z.string().trim().max(1000).optional(),
+});
+
+const serviceDateQuerySchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD").optional(),
 });
 
 const limitQuerySchema = z.object({
@@ -28,9 +50,11 @@ const limitQuerySchema = z.object({
 
 const geofencePointSchema = z.object({
   label: z.enum(["pickup", "school", "custom"]),
+  childId: z.string().uuid().optional().nullable(),
   latitude: z.number().min(-90).max(90),
   longitude: z.number().min(-180).max(180),
   radiusM: z.number().positive().max(1000).optional(),
+  approachRadiusM: z.number().positive().max(5000).optional().nullable(),
   isActive: z.boolean().optional(),
 });
 
@@ -155,6 +179,32 @@ export default async function adminRoutes(fastify) {
     }
   });
 
+  fastify.get("/admin/tracking/active-trips", async (request, reply) => {
+    try {
+      const trips = await listActiveTripsOverview();
+      return reply.send({ trips });
+    } catch (error) {
+      request.log.error({ error }, "Failed to fetch active trips");
+      return reply.status(500).send({ message: error.message });
+    }
+  });
+
+  fastify.get("/admin/tracking/missed-trips", async (request, reply) => {
+    const queryResult = serviceDateQuerySchema.safeParse(request.query ?? {});
+    if (!queryResult.success) {
+      return reply.status(400).send({ errors: queryResult.error.format() });
+    }
+
+    try {
+      const serviceDate = queryResult.data.date ?? getServiceDate(env.TRACKING_TIME_ZONE);
+      const trips = await listMissedPlannedTrips(serviceDate);
+      return reply.send({ date: serviceDate, trips });
+    } catch (error) {
+      request.log.error({ error }, "Failed to fetch missed trips");
+      return reply.status(500).send({ message: error.message });
+    }
+  });
+
   fastify.get("/admin/tracking/drivers/:driverId/trips", async (request, reply) => {
     const { driverId } = request.params;
     const queryResult = limitQuerySchema.safeParse(request.query ?? {});
@@ -183,15 +233,31 @@ export default async function adminRoutes(fastify) {
       return reply.status(400).send({ message: "`from` must be earlier than or equal to `to`" });
     }
 
+    if (query.cursor && !decodePlaybackCursor(query.cursor)) {
+      return reply.status(400).send({ message: "Invalid playback cursor" });
+    }
+
     try {
       const playback = await getTripPlayback(tripId, {
         from: query.from,
         to: query.to,
         limit: query.limit,
         order: query.order,
+        cursor: query.cursor,
+        simplifyToleranceM: query.simplifyToleranceM,
+        wholeTrip: Boolean(query.format && query.format !== "json"),
       });
 
-      return reply.send(playback);
+      if (!query.format || query.format === "json") {
+        return reply.send(playback);
+      }
+
+      const events = await listAllTripGeofenceEvents(tripId);
+      const file = buildPlaybackExport(query.format, playback, events);
+      return reply
+        .header("Content-Type", file.contentType)
+        .header("Content-Disposition", `attachment; filename="${file.filename}"`)
+        .send(file.body);
     } catch (error) {
       request.log.error({ error }, "Failed to fetch admin trip playback");
       return reply.status(500).send({ message: error.message });
@@ -214,6 +280,86 @@ export default async function adminRoutes(fastify) {
     }
   });
 
+  fastify.get("/admin/tracking/trips/:tripId/route-deviations", async (request, reply) => {
+    const { tripId } = request.params;
+
+    try {
+      const deviations = await listTripRouteDeviations(tripId);
+      return reply.send(deviations);
+    } catch (error) {
+      request.log.error({ error }, "Failed to fetch route deviations");
+      return reply.status(500).send({ message: error.message });
+    }
+  });
+
+  fastify.get("/admin/tracking/trips/:tripId/safety", async (request, reply) => {
+    const { tripId } = request.params;
+
+    try {
+      const report = await getTripSafetyReport(tripId);
+      return reply.send(report);
+    } catch (error) {
+      request.log.error({ error }, "Failed to fetch trip safety report");
+      return reply.status(500).send({ message: error.message });
+    }
+  });
+
+  fastify.get("/admin/tracking/drivers/:driverId/safety", async (request, reply) => {
+    const { driverId } = request.params;
+    const queryResult = safetyWindowQuerySchema.safeParse(request.query ?? {});
+    if (!queryResult.success) {
+      return reply.status(400).send({ errors: queryResult.error.format() });
+    }
+
+    try {
+      const score = await getDriverSafetyScore(driverId, queryResult.data.days);
+      return reply.send(score);
+    } catch (error) {
+      request.log.error({ error }, "Failed to fetch driver safety score");
+      return reply.status(500).send({ message: error.message });
+    }
+  });
+
+  fastify.get("/admin/tracking/location-flags", async (request, reply) => {
+    const queryResult = locationFlagQuerySchema.safeParse(request.query ?? {});
+    if (!queryResult.success) {
+      return reply.status(400).send({ errors: queryResult.error.format() });
+    }
+
+    try {
+      const flags = await listLocationFlags(queryResult.data);
+      return reply.send({ flags });
+    } catch (error) {
+      request.log.error({ error }, "Failed to fetch location flags");
+      return reply.status(500).send({ message: error.message });
+    }
+  });
+
+  fastify.patch("/admin/tracking/location-flags/:flagId", async (request, reply) => {
+    const { flagId } = request.params;
+    const bodyResult = locationFlagReviewSchema.safeParse(request.body ?? {});
+    if (!bodyResult.success) {
+      return reply.status(400).send({ errors: bodyResult.error.format() });
+    }
+
+    try {
+      const flag = await reviewLocationFlag({
+        flagId,
+        status: bodyResult.data.status,
+        note: bodyResult.data.note,
+        reviewedBy: request.user.id,
+      });
+      if (!flag) {
+        return reply.status(404).send({ message: "Location flag not found" });
+      }
+
+      return reply.send(flag);
+    } catch (error) {
+      request.log.error({ error }, "Failed to review location flag");
+      return reply.status(500).send({ message: error.message });
+    }
+  });
+
   fastify.put("/admin/tracking/trips/:tripId/geofence-points", async (request, reply) => {
     const { tripId } = request.params;
     const parseResult = geofencePointSchema.safeParse(request.body ?? {});
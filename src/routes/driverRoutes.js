@@ -9,6 +9,8 @@ import {
   upsertDriverVehicle,
   updateFcmToken,
 } from "../services/profileService.js";
+import { getDriverIdBySupabaseUserId } from "../services/trackingService.js";
+import { buildDriverManifest } from "../services/passengerManifestService.js";
 import {
   fetchActiveDriverInvite,
   issueDriverInvite,
@@ -47,6 +49,10 @@ const inviteQuerySchema = z.object({
   force: z.coerce.boolean().optional(),
 });
 
+const manifestQuerySchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD").optional(),
+});
+
 function resolveInviteOptions(data, defaultMaxUses = 1) {
   return {
     ttlMinutes: data.ttlMinutes ?? null, // null means it's a lifetime code
@@ -266,6 +272,27 @@ export default async function driverRoutes(fastify) {
     }
   });
 
+  /**
+   * Daily Passenger Manifest
+   */
+  fastify.get("/drivers/manifest", { preHandler: verifySupabaseJwt }, async (request, reply) => {
+    if (!request.user) return reply.status(401).send({ message: "Unauthenticated" });
+
+    const parsedQuery = manifestQuerySchema.safeParse(request.query ?? {});
+    if (!parsedQuery.success) return reply.status(400).send({ errors: parsedQuery.error.format() });
+
+    try {
+      const driverId = await getDriverIdBySupabaseUserId(request.user.id);
+      if (!driverId) return reply.status(403).send({ message: "Only drivers have a manifest" });
+
+      const manifest = await buildDriverManifest(driverId, parsedQuery.data.date);
+      return reply.status(200).send(manifest);
+    } catch (error) {
+      request.log.error({ error }, "Failed to build passenger manifest");
+      return reply.status(500).send({ message: "Failed to build passenger manifest" });
+    }
+  });
+
   /**
    * Invite Routes
    */
@@ -3,6 +3,10 @@ import { verifySupabaseJwt } from "../middleware/verifySupabaseJwt.js";
 import { upsertParentProfile } from "../services/profileService.js";
 import { markInviteUsed, validateDriverInvite } from "../services/driverInviteService.js";
 import { supabase } from "../config/supabaseClient.js";
+import { env } from "../config/env.js";
+import { getServiceDate } from "../utils/tripTime.js";
+import { getParentChildIdsByDriver } from "../services/trackingService.js";
+import { listPlannedTripsForDrivers } from "../services/tripScheduleService.js";
 
 const parentProfileSchema = z.object({
   fullName: z.string().min(1),
@@ -16,6 +20,8 @@ const childSchema = z.object({
   school: z.string().min(1),
   pickupLocation: z.string().min(1),
   pickupTime: z.string().min(1).default("06:45 AM"),
+  pickupLatitude: z.number().min(-90).max(90).optional(),
+  pickupLongitude: z.number().min(-180).max(180).optional(),
 });
 
 const driverLinkSchema = z.object({
@@ -166,12 +172,14 @@ export default async function parentRoutes(fastify) {
         school: parseResult.data.school,
         pickup_location: parseResult.data.pickupLocation,
         pickup_time: parseResult.data.pickupTime,
+        pickup_latitude: parseResult.data.pickupLatitude ?? null,
+        pickup_longitude: parseResult.data.pickupLongitude ?? null,
       };
 
       const { data, error } = await supabase
         .from("children")
         .insert(payload)
-        .select("id, child_name, school, pickup_location, pickup_time, attendance_state, payment_status, linked_driver_id")
+        .select("id, child_name, school, pickup_location, pickup_time, pickup_latitude, pickup_longitude, attendance_state, payment_status, linked_driver_id")
         .single();
 
       if (error || !data) {
@@ -194,7 +202,7 @@ export default async function parentRoutes(fastify) {
       const parentId = await requireParentId(request.user.id);
       const { data, error } = await supabase
         .from("children")
-        .select("id, child_name, school, pickup_location, pickup_time, attendance_state, payment_status, linked_driver_id")
+        .select("id, child_name, school, pickup_location, pickup_time, pickup_latitude, pickup_longitude, attendance_state, payment_status, linked_driver_id")
         .eq("parent_id", parentId)
         .order("child_name", { ascending: true });
 
@@ -209,6 +217,35 @@ export default async function parentRoutes(fastify) {
     }
   });
 
+  fastify.get("/parents/trips/today", { preHandler: verifySupabaseJwt }, async (request, reply) => {
+    if (!request.user) {
+      return reply.status(401).send({ message: "Unauthenticated" });
+    }
+
+    try {
+      const parentId = await requireParentId(request.user.id);
+      const childIdsByDriver = await getParentChildIdsByDriver(parentId);
+      const serviceDate = getServiceDate(env.TRACKING_TIME_ZONE);
+
+      const trips = await listPlannedTripsForDrivers(
+        childIdsByDriver.map((entry) => entry.driverId),
+        serviceDate
+      );
+      const childIdsForDriver = new Map(childIdsByDriver.map((entry) => [entry.driverId, entry.childIds]));
+
+      return reply.status(200).send({
+        date: serviceDate,
+        trips: trips.map((trip) => ({
+          ...trip,
+          childIds: childIdsForDriver.get(trip.driverId) ?? [],
+        })),
+      });
+    } catch (error) {
+      request.log.error({ error }, "Failed to load today's trips");
+      return reply.status(500).send({ message: error.message });
+    }
+  });
+
   fastify.patch("/parents/children/:childId/attendance", { preHandler: verifySupabaseJwt }, async (request, reply) => {
     if (!request.user) {
       return reply.status(401).send({ message: "Unauthenticated" });
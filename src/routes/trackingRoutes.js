@@ -1,16 +1,42 @@
 import { z } from "zod";
 import { verifySupabaseJwt } from "../middleware/verifySupabaseJwt.js";
+import {
+  broadcastChildTripEvent,
+  broadcastGeofenceEvents,
+  broadcastTripLocation,
+  broadcastTripStatusChanged,
+} from "../realtime/trackingSocketServer.js";
+import { buildPlaybackExport } from "../utils/trackExport.js";
+import {
+  childTripEventSchema,
+  locationBatchSchema,
+  locationUpdateSchema,
+  playbackQuerySchema,
+  tripPhaseSchema,
+} from "../utils/trackingSchemas.js";
 import {
   canSupabaseUserAccessTrip,
+  computeTripStopEtas,
+  decodePlaybackCursor,
+  filterItemsForChildren,
   getDriverIdBySupabaseUserId,
   getLatestTripLocation,
+  getParentChildIdsForDriver,
   getTripSession,
   getTripGeofenceEvents,
   getTripLocationHistory,
   getTripPlayback,
+  isSupabaseUserAdmin,
+  listAllTripGeofenceEvents,
+  saveDriverLocation,
+  saveDriverLocationBatch,
   startOrCreateTripSessionForDriver,
   updateTripSessionStatus,
 } from "../services/trackingService.js";
+import { getDriverPresence } from "../services/driverPresenceService.js";
+import { LOCATION_REJECTION_MESSAGES } from "../services/locationFilterService.js";
+import { endTripSession, listChildTripEvents, recordChildTripEvent } from "../services/childTripEventService.js";
+import { getTripSummary, toParentTripSummary } from "../services/tripSummaryService.js";
 
 const tripParamsSchema = z.object({
   tripId: z.string().uuid(),
@@ -24,15 +50,17 @@ const geofenceQuerySchema = z.object({
   limit: z.coerce.number().int().positive().max(500).optional(),
 });
 
-const playbackQuerySchema = z.object({
-  from: z.string().datetime().optional(),
-  to: z.string().datetime().optional(),
-  limit: z.coerce.number().int().positive().max(1000).optional(),
-  order: z.enum(["asc", "desc"]).optional(),
+const endTripSchema = z.object({
+  overrideReason: z.string().trim().min(3).max(500).optional(),
+});
+
+const tripChildParamsSchema = z.object({
+  tripId: z.string().uuid(),
+  childId: z.string().uuid(),
 });
 
 const tripActionSchema = z.object({
-  tripPhase: z.enum(["idle", "en_route_to_pickups", "picking_up", "en_route_to_school", "completed"]).optional(),
+  tripPhase: tripPhaseSchema.optional(),
 });
 
 export default async function trackingRoutes(fastify) {
@@ -54,11 +82,18 @@ export default async function trackingRoutes(fastify) {
 
       const session = await startOrCreateTripSessionForDriver({
         driverId,
-        tripPhase: bodyResult.data.tripPhase ?? "en_route_to_pickups",
+        tripPhase: bodyResult.data.tripPhase,
       });
 
+      if (fastify.trackingSocket) {
+        await broadcastTripStatusChanged(fastify.trackingSocket, session);
+      }
+
       return reply.status(200).send(session);
     } catch (error) {
+      if (error.statusCode === 409) {
+        return reply.status(409).send({ message: error.message });
+      }
       request.log.error({ error }, "Failed to start or create trip session");
       return reply.status(500).send({ message: "Failed to start trip session" });
     }
@@ -89,11 +124,18 @@ export default async function trackingRoutes(fastify) {
         tripId: paramsResult.data.tripId,
         driverId,
         status: "active",
-        tripPhase: bodyResult.data.tripPhase ?? "en_route_to_pickups",
+        tripPhase: bodyResult.data.tripPhase,
       });
 
+      if (fastify.trackingSocket) {
+        await broadcastTripStatusChanged(fastify.trackingSocket, session);
+      }
+
       return reply.status(200).send(session);
     } catch (error) {
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
       request.log.error({ error }, "Failed to start trip session");
       return reply.status(500).send({ message: "Failed to start trip session" });
     }
@@ -124,11 +166,18 @@ export default async function trackingRoutes(fastify) {
         tripId: paramsResult.data.tripId,
         driverId,
         status: "paused",
-        tripPhase: bodyResult.data.tripPhase ?? "picking_up",
+        tripPhase: bodyResult.data.tripPhase,
       });
 
+      if (fastify.trackingSocket) {
+        await broadcastTripStatusChanged(fastify.trackingSocket, session);
+      }
+
       return reply.status(200).send(session);
     } catch (error) {
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
       request.log.error({ error }, "Failed to pause trip session");
       return reply.status(500).send({ message: "Failed to pause trip session" });
     }
@@ -144,21 +193,35 @@ export default async function trackingRoutes(fastify) {
       return reply.status(400).send({ errors: paramsResult.error.format() });
     }
 
+    const bodyResult = endTripSchema.safeParse(request.body ?? {});
+    if (!bodyResult.success) {
+      return reply.status(400).send({ errors: bodyResult.error.format() });
+    }
+
     try {
       const driverId = await getDriverIdBySupabaseUserId(request.user.id);
       if (!driverId) {
         return reply.status(403).send({ message: "Only drivers can end trip tracking" });
       }
 
-      const session = await updateTripSessionStatus({
+      const session = await endTripSession({
         tripId: paramsResult.data.tripId,
         driverId,
-        status: "completed",
-        tripPhase: "completed",
+        overrideReason: bodyResult.data.overrideReason,
       });
 
+      if (fastify.trackingSocket) {
+        await broadcastTripStatusChanged(fastify.trackingSocket, session);
+      }
+
       return reply.status(200).send(session);
     } catch (error) {
+      if (error.statusCode === 409) {
+        return reply.status(409).send({ message: error.message, childrenOnBoard: error.childrenOnBoard });
+      }
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
       request.log.error({ error }, "Failed to end trip session");
       return reply.status(500).send({ message: "Failed to end trip session" });
     }
@@ -192,6 +255,43 @@ export default async function trackingRoutes(fastify) {
     }
   });
 
+  fastify.get("/tracking/trips/:tripId/summary", { preHandler: verifySupabaseJwt }, async (request, reply) => {
+    if (!request.user) {
+      return reply.status(401).send({ message: "Unauthenticated" });
+    }
+
+    const paramsResult = tripParamsSchema.safeParse(request.params ?? {});
+    if (!paramsResult.success) {
+      return reply.status(400).send({ errors: paramsResult.error.format() });
+    }
+
+    try {
+      // Admins review any trip; drivers and parents go through the usual trip access check.
+      const isAdmin = await isSupabaseUserAdmin(request.user.id);
+      const access = isAdmin
+        ? { allowed: true, userType: "admin" }
+        : await canSupabaseUserAccessTrip(request.user.id, paramsResult.data.tripId);
+      if (!access.allowed) {
+        return reply.status(403).send({ message: access.reason ?? "Forbidden" });
+      }
+
+      const summary = await getTripSummary(paramsResult.data.tripId);
+      if (!summary) {
+        return reply.status(404).send({ message: "Trip summary is available once the trip has ended" });
+      }
+
+      if (access.userType === "parent") {
+        const childIds = await getParentChildIdsForDriver(access.parentId, access.driverId);
+        return reply.status(200).send(toParentTripSummary(summary, childIds));
+      }
+
+      return reply.status(200).send(summary);
+    } catch (error) {
+      request.log.error({ error }, "Failed to fetch trip summary");
+      return reply.status(500).send({ message: "Failed to fetch trip summary" });
+    }
+  });
+
   fastify.get("/tracking/trips/:tripId/latest", { preHandler: verifySupabaseJwt }, async (request, reply) => {
     if (!request.user) {
       return reply.status(401).send({ message: "Unauthenticated" });
@@ -213,7 +313,14 @@ export default async function trackingRoutes(fastify) {
         return reply.status(404).send({ message: "No location available for this trip" });
       }
 
-      return reply.status(200).send(latest);
+      let etas = await computeTripStopEtas(paramsResult.data.tripId, latest);
+      if (access.userType === "parent") {
+        const childIds = await getParentChildIdsForDriver(access.parentId, access.driverId);
+        etas = filterItemsForChildren(etas, childIds);
+      }
+
+      const presence = getDriverPresence(paramsResult.data.tripId, latest.recordedAt);
+      return reply.status(200).send({ ...latest, ...presence, etas });
     } catch (error) {
       request.log.error({ error }, "Failed to fetch latest trip location");
       return reply.status(500).send({ message: "Failed to fetch latest location" });
@@ -270,7 +377,12 @@ export default async function trackingRoutes(fastify) {
         return reply.status(403).send({ message: access.reason ?? "Forbidden" });
       }
 
-      const events = await getTripGeofenceEvents(paramsResult.data.tripId, queryResult.data.limit ?? 100);
+      let events = await getTripGeofenceEvents(paramsResult.data.tripId, queryResult.data.limit ?? 100);
+      if (access.userType === "parent") {
+        const childIds = await getParentChildIdsForDriver(access.parentId, access.driverId);
+        events = filterItemsForChildren(events, childIds);
+      }
+
       return reply.status(200).send(events);
     } catch (error) {
       request.log.error({ error }, "Failed to fetch geofence events");
@@ -278,6 +390,78 @@ export default async function trackingRoutes(fastify) {
     }
   });
 
+  fastify.post("/tracking/trips/:tripId/children/:childId/events", { preHandler: verifySupabaseJwt }, async (request, reply) => {
+    if (!request.user) {
+      return reply.status(401).send({ message: "Unauthenticated" });
+    }
+
+    const paramsResult = tripChildParamsSchema.safeParse(request.params ?? {});
+    if (!paramsResult.success) {
+      return reply.status(400).send({ errors: paramsResult.error.format() });
+    }
+
+    const bodyResult = childTripEventSchema.safeParse({
+      ...(request.body ?? {}),
+      ...paramsResult.data,
+    });
+    if (!bodyResult.success) {
+      return reply.status(400).send({ errors: bodyResult.error.format() });
+    }
+
+    try {
+      const driverId = await getDriverIdBySupabaseUserId(request.user.id);
+      if (!driverId) {
+        return reply.status(403).send({ message: "Only drivers can update children on a trip" });
+      }
+
+      const childEvent = await recordChildTripEvent({
+        ...bodyResult.data,
+        driverId,
+      });
+
+      if (fastify.trackingSocket) {
+        await broadcastChildTripEvent(fastify.trackingSocket, childEvent);
+      }
+
+      return reply.status(201).send(childEvent);
+    } catch (error) {
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
+      request.log.error({ error }, "Failed to record child trip event");
+      return reply.status(500).send({ message: "Failed to record child trip event" });
+    }
+  });
+
+  fastify.get("/tracking/trips/:tripId/children/events", { preHandler: verifySupabaseJwt }, async (request, reply) => {
+    if (!request.user) {
+      return reply.status(401).send({ message: "Unauthenticated" });
+    }
+
+    const paramsResult = tripParamsSchema.safeParse(request.params ?? {});
+    if (!paramsResult.success) {
+      return reply.status(400).send({ errors: paramsResult.error.format() });
+    }
+
+    try {
+      const access = await canSupabaseUserAccessTrip(request.user.id, paramsResult.data.tripId);
+      if (!access.allowed) {
+        return reply.status(403).send({ message: access.reason ?? "Forbidden" });
+      }
+
+      let events = await listChildTripEvents(paramsResult.data.tripId);
+      if (access.userType === "parent") {
+        const childIds = await getParentChildIdsForDriver(access.parentId, access.driverId);
+        events = filterItemsForChildren(events, childIds);
+      }
+
+      return reply.status(200).send(events);
+    } catch (error) {
+      request.log.error({ error }, "Failed to fetch child trip events");
+      return reply.status(500).send({ message: "Failed to fetch child trip events" });
+    }
+  });
+
   fastify.get("/tracking/trips/:tripId/playback", { preHandler: verifySupabaseJwt }, async (request, reply) => {
     if (!request.user) {
       return reply.status(401).send({ message: "Unauthenticated" });
@@ -298,6 +482,10 @@ export default async function trackingRoutes(fastify) {
       return reply.status(400).send({ message: "`from` must be earlier than or equal to `to`" });
     }
 
+    if (query.cursor && !decodePlaybackCursor(query.cursor)) {
+      return reply.status(400).send({ message: "Invalid playback cursor" });
+    }
+
     try {
       const access = await canSupabaseUserAccessTrip(request.user.id, paramsResult.data.tripId);
       if (!access.allowed) {
@@ -309,12 +497,140 @@ export default async function trackingRoutes(fastify) {
         to: query.to,
         limit: query.limit,
         order: query.order,
+        cursor: query.cursor,
+        simplifyToleranceM: query.simplifyToleranceM,
+        wholeTrip: Boolean(query.format && query.format !== "json"),
       });
 
-      return reply.status(200).send(playback);
+      if (!query.format || query.format === "json") {
+        return reply.status(200).send(playback);
+      }
+
+      let events = await listAllTripGeofenceEvents(paramsResult.data.tripId);
+      if (access.userType === "parent") {
+        const childIds = await getParentChildIdsForDriver(access.parentId, access.driverId);
+        events = filterItemsForChildren(events, childIds);
+      }
+
+      const file = buildPlaybackExport(query.format, playback, events);
+      return reply
+        .header("Content-Type", file.contentType)
+        .header("Content-Disposition", `attachment; filename="${file.filename}"`)
+        .send(file.body);
     } catch (error) {
       request.log.error({ error }, "Failed to fetch trip playback");
       return reply.status(500).send({ message: "Failed to fetch trip playback" });
     }
   });
+
+  fastify.post("/tracking/trips/:tripId/location", { preHandler: verifySupabaseJwt }, async (request, reply) => {
+    if (!request.user) {
+      return reply.status(401).send({ message: "Unauthenticated" });
+    }
+
+    const paramsResult = tripParamsSchema.safeParse(request.params ?? {});
+    if (!paramsResult.success) {
+      return reply.status(400).send({ errors: paramsResult.error.format() });
+    }
+
+    const bodyResult = locationUpdateSchema.safeParse({
+      ...(request.body ?? {}),
+      tripId: paramsResult.data.tripId,
+    });
+    if (!bodyResult.success) {
+      return reply.status(400).send({ errors: bodyResult.error.format() });
+    }
+
+    try {
+      const driverId = await getDriverIdBySupabaseUserId(request.user.id);
+      if (!driverId) {
+        return reply.status(403).send({ message: "Only drivers can publish location" });
+      }
+
+      const saved = await saveDriverLocation({
+        ...bodyResult.data,
+        driverId,
+      });
+
+      if (saved.rejectedReason) {
+        return reply.status(422).send({
+          message: LOCATION_REJECTION_MESSAGES[saved.rejectedReason],
+          reason: saved.rejectedReason,
+        });
+      }
+
+      if (fastify.trackingSocket) {
+        if (saved.statusChange) {
+          await broadcastTripStatusChanged(fastify.trackingSocket, saved.statusChange);
+        }
+        await broadcastTripLocation(fastify.trackingSocket, saved);
+        await broadcastGeofenceEvents(fastify.trackingSocket, saved.tripId, saved.geofenceEvents);
+      }
+
+      return reply.status(200).send(saved);
+    } catch (error) {
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
+      request.log.error({ error }, "Failed to save driver location");
+      return reply.status(500).send({ message: "Location update failed" });
+    }
+  });
+
+  fastify.post("/tracking/trips/:tripId/locations/batch", { preHandler: verifySupabaseJwt }, async (request, reply) => {
+    if (!request.user) {
+      return reply.status(401).send({ message: "Unauthenticated" });
+    }
+
+    const paramsResult = tripParamsSchema.safeParse(request.params ?? {});
+    if (!paramsResult.success) {
+      return reply.status(400).send({ errors: paramsResult.error.format() });
+    }
+
+    const bodyResult = locationBatchSchema.safeParse({
+      ...(request.body ?? {}),
+      tripId: paramsResult.data.tripId,
+    });
+    if (!bodyResult.success) {
+      return reply.status(400).send({ errors: bodyResult.error.format() });
+    }
+
+    try {
+      const driverId = await getDriverIdBySupabaseUserId(request.user.id);
+      if (!driverId) {
+        return reply.status(403).send({ message: "Only drivers can publish location" });
+      }
+
+      const result = await saveDriverLocationBatch({
+        ...bodyResult.data,
+        driverId,
+      });
+
+      if (fastify.trackingSocket) {
+        if (result.statusChange) {
+          await broadcastTripStatusChanged(fastify.trackingSocket, result.statusChange);
+        }
+        if (result.latest) {
+          await broadcastTripLocation(fastify.trackingSocket, result.latest);
+        }
+        await broadcastGeofenceEvents(fastify.trackingSocket, result.tripId, result.geofenceEvents);
+      }
+
+      return reply.status(200).send({
+        tripId: result.tripId,
+        acceptedPoints: result.acceptedPoints,
+        rejectedPoints: result.rejectedPoints,
+        rejectedReasons: result.rejectedReasons,
+        historyPoints: result.historyPoints,
+        latestAdvanced: Boolean(result.latest),
+        geofenceEvents: result.geofenceEvents,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
+      request.log.error({ error }, "Failed to save driver location batch");
+      return reply.status(500).send({ message: "Failed to save location batch" });
+    }
+  });
 }
@@ -12,8 +12,18 @@ import requestLoggingPlugin from "./plugins/requestLoggingPlugin.js";
 import { supabase } from "./config/supabaseClient.js";
 import notificationRoutes from "./routes/notificationRoutes.js";
 import trackingRoutes from "./routes/trackingRoutes.js";
-import { registerTrackingSocketServer } from "./realtime/trackingSocketServer.js";
+import {
+  broadcastOfflineDrivers,
+  broadcastTripStatusChanged,
+  registerTrackingSocketServer,
+} from "./realtime/trackingSocketServer.js";
 import { cleanupTrackingHistory } from "./services/trackingService.js";
+import { evaluateIdleAndOverdueTrips } from "./services/tripAutoCloseService.js";
+import { planUpcomingTrips } from "./services/tripScheduleService.js";
+import {
+  startTrackingHistoryWriter,
+  stopTrackingHistoryWriter,
+} from "./services/trackingHistoryWriter.js";
 import webhookNotificationRoutes from "./routes/webhookNotificationRoutes.js";
 import webhookVerificationRoutes from "./routes/webhookVerificationRoutes.js";
 import documentRoutes from './routes/documentRoutes.js';
@@ -93,7 +103,76 @@ fastify.get("/api/health", async (request, reply) => {
   }
 });
 
-let retentionTimer = null;
+// One timer drives every background job; each job runs when its own interval has passed. The
+// timer ticks as often as the most frequent job needs, and at least once a minute.
+const SCHEDULER_MAX_TICK_MS = 60 * 1000;
+const scheduledJobs = [];
+let schedulerTimer = null;
+
+function minutesToMs(minutes) {
+  return Math.max(1, minutes) * 60 * 1000;
+}
+
+function scheduleJob(name, intervalMs, run) {
+  scheduledJobs.push({
+    name,
+    intervalMs,
+    run,
+    lastRunAt: 0,
+    running: false,
+  });
+}
+
+function runDueJobs() {
+  const now = Date.now();
+  for (const job of scheduledJobs) {
+    // A slow run is not started again on top of itself.
+    if (job.running || now - job.lastRunAt < job.intervalMs) {
+      continue;
+    }
+
+    job.running = true;
+    job.lastRunAt = now;
+    job.run().finally(() => {
+      job.running = false;
+    });
+  }
+}
+
+function startScheduler() {
+  if (!scheduledJobs.length) {
+    return;
+  }
+
+  const tickMs = Math.min(
+    SCHEDULER_MAX_TICK_MS,
+    ...scheduledJobs.map((job) => job.intervalMs),
+  );
+
+  runDueJobs();
+  schedulerTimer = setInterval(runDueJobs, tickMs);
+
+  fastify.log.info(
+    { jobs: scheduledJobs.map((job) => job.name) },
+    "Background scheduler started",
+  );
+}
+
+async function runPresenceSweep() {
+  try {
+    await broadcastOfflineDrivers(fastify.trackingSocket);
+  } catch (error) {
+    fastify.log.error({ error }, "Driver presence sweep failed");
+  }
+}
+
+function schedulePresenceSweep() {
+  scheduleJob(
+    "driverPresenceSweep",
+    Math.max(1, env.TRACKING_PRESENCE_SWEEP_SECONDS) * 1000,
+    runPresenceSweep,
+  );
+}
 
 async function runRetentionCleanup() {
   try {
@@ -111,36 +190,123 @@ async function runRetentionCleanup() {
   }
 }
 
-function startRetentionCleanupScheduler() {
+function scheduleRetentionCleanup() {
   if (!env.TRACKING_RETENTION_ENABLED) {
     fastify.log.info("Tracking retention cleanup is disabled by environment");
     return;
   }
 
-  runRetentionCleanup();
-
-  const intervalMs =
-    Math.max(1, env.TRACKING_RETENTION_INTERVAL_MINUTES) * 60 * 1000;
-  retentionTimer = setInterval(runRetentionCleanup, intervalMs);
+  scheduleJob(
+    "retentionCleanup",
+    minutesToMs(env.TRACKING_RETENTION_INTERVAL_MINUTES),
+    runRetentionCleanup,
+  );
 
   fastify.log.info(
     {
       retentionDays: env.TRACKING_RETENTION_DAYS,
       intervalMinutes: env.TRACKING_RETENTION_INTERVAL_MINUTES,
     },
-    "Tracking retention cleanup scheduler started",
+    "Tracking retention cleanup scheduled",
+  );
+}
+
+async function runTripAutoClose() {
+  try {
+    const updatedSessions = await evaluateIdleAndOverdueTrips(fastify.log);
+    for (const session of updatedSessions) {
+      await broadcastTripStatusChanged(fastify.trackingSocket, session);
+    }
+
+    if (updatedSessions.length) {
+      fastify.log.info(
+        {
+          updatedTrips: updatedSessions.map((session) => ({
+            tripId: session.tripId,
+            status: session.status,
+            reason: session.statusReason,
+          })),
+        },
+        "Automatic trip status updates applied",
+      );
+    }
+  } catch (error) {
+    fastify.log.error({ error }, "Automatic trip status evaluation failed");
+  }
+}
+
+function scheduleTripAutoClose() {
+  if (!env.TRACKING_AUTO_CLOSE_ENABLED) {
+    fastify.log.info("Automatic trip pause/end is disabled by environment");
+    return;
+  }
+
+  scheduleJob(
+    "tripAutoClose",
+    minutesToMs(env.TRACKING_AUTO_CLOSE_INTERVAL_MINUTES),
+    runTripAutoClose,
+  );
+
+  fastify.log.info(
+    {
+      intervalMinutes: env.TRACKING_AUTO_CLOSE_INTERVAL_MINUTES,
+      idleMinutes: env.TRACKING_AUTO_PAUSE_IDLE_MINUTES,
+      afterSchoolMinutes: env.TRACKING_AUTO_COMPLETE_AFTER_SCHOOL_MINUTES,
+      maxTripMinutes: env.TRACKING_MAX_TRIP_MINUTES,
+    },
+    "Automatic trip pause/end scheduled",
+  );
+}
+
+async function runTripScheduling() {
+  try {
+    const results = await planUpcomingTrips();
+    fastify.log.info({ days: results }, "Planned trips refreshed");
+  } catch (error) {
+    fastify.log.error({ error }, "Trip scheduling failed");
+  }
+}
+
+function scheduleTripPlanning() {
+  if (!env.TRACKING_SCHEDULING_ENABLED) {
+    fastify.log.info("Trip scheduling is disabled by environment");
+    return;
+  }
+
+  scheduleJob(
+    "tripPlanning",
+    minutesToMs(env.TRACKING_SCHEDULING_INTERVAL_MINUTES),
+    runTripScheduling,
+  );
+
+  fastify.log.info(
+    {
+      intervalMinutes: env.TRACKING_SCHEDULING_INTERVAL_MINUTES,
+      daysAhead: env.TRACKING_SCHEDULING_DAYS_AHEAD,
+      timeZone: env.TRACKING_TIME_ZONE,
+    },
+    "Trip planning scheduled",
   );
 }
 
 async function start() {
   try {
     registerTrackingSocketServer(fastify);
-    startRetentionCleanupScheduler();
+    schedulePresenceSweep();
+    scheduleRetentionCleanup();
+    scheduleTripAutoClose();
+    scheduleTripPlanning();
+    startScheduler();
+    startTrackingHistoryWriter(fastify.log);
+
+    fastify.addHook("onClose", async () => {
+      await stopTrackingHistoryWriter();
+    });
 
     fastify.addHook("onClose", (_instance, done) => {
-      if (retentionTimer) {
-        clearInterval(retentionTimer);
-        retentionTimer = null;
+      if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
       }
       done();
     });
@@ -0,0 +1,302 @@
+import { supabase } from "../config/supabaseClient.js";
+import { NOTIFICATION_STRINGS } from "../config/notification_strings.js";
+import { createTransitionError } from "./tripStateMachine.js";
+import { getLatestTripLocation, getTripSession, updateTripSessionStatus } from "./trackingService.js";
+import { isParentNotificationEnabled, notifyAdmins } from "./tripNotificationService.js";
+import { getTripManifest } from "./passengerManifestService.js";
+import { generateTripSummaryInBackground } from "./tripSummaryService.js";
+import { notificationService } from "./notificationService.js";
+
+const FORCE_END_STATUS_REASON = "force_ended_children_on_board";
+const CHILD_EVENT_COLUMNS =
+  "id, trip_id, driver_id, child_id, event_type, note, latitude, longitude, location_recorded_at, recorded_at";
+
+export const CHILD_EVENT_TYPES = ["boarded", "absent", "dropped"];
+
+/**
+ * What a child may be marked as next on a trip. A child marked absent can still board late;
+ * `dropped` is final for the trip.
+ */
+const CHILD_EVENT_TRANSITIONS = {
+  none: ["boarded", "absent"],
+  boarded: ["dropped"],
+  absent: ["boarded"],
+  dropped: [],
+};
+
+const CHILD_EVENT_NOTIFICATIONS = {
+  boarded: NOTIFICATION_STRINGS.TRIPS.CHILD_BOARDED,
+  absent: NOTIFICATION_STRINGS.TRIPS.CHILD_ABSENT,
+  dropped: NOTIFICATION_STRINGS.TRIPS.CHILD_DROPPED,
+};
+
+function createStatusError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function serializeChildEvent(row) {
+  return {
+    id: row.id,
+    tripId: row.trip_id,
+    driverId: row.driver_id,
+    childId: row.child_id,
+    eventType: row.event_type,
+    note: row.note,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    locationRecordedAt: row.location_recorded_at,
+    recordedAt: row.recorded_at,
+  };
+}
+
+function withChildName(content, childName) {
+  return {
+    title: content.title,
+    body: content.body.replace("{childName}", childName),
+  };
+}
+
+async function getOwnedTripSession(tripId, driverId) {
+  const session = await getTripSession(tripId);
+  if (!session) {
+    throw createStatusError("Trip session not found", 404);
+  }
+
+  if (session.driverId !== driverId) {
+    throw createStatusError("Driver is not allowed to update this trip", 403);
+  }
+
+  return session;
+}
+
+async function getLinkedChild(driverId, childId) {
+  const { data, error } = await supabase
+    .from("children")
+    .select("id, child_name, parent:parents(id, supabase_user_id, notification_prefs)")
+    .eq("id", childId)
+    .eq("linked_driver_id", driverId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+}
+
+async function getLastChildEventType(tripId, childId) {
+  const { data, error } = await supabase
+    .from("trip_child_events")
+    .select("event_type")
+    .eq("trip_id", tripId)
+    .eq("child_id", childId)
+    .order("recorded_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data?.event_type ?? "none";
+}
+
+async function notifyChildParent(child, childEvent) {
+  const parent = child.parent;
+  if (!parent?.supabase_user_id || !isParentNotificationEnabled(parent.notification_prefs, "childBoarding")) {
+    return;
+  }
+
+  const content = withChildName(CHILD_EVENT_NOTIFICATIONS[childEvent.eventType], child.child_name);
+  await notificationService.notifyUser(parent.supabase_user_id, content.title, content.body, {
+    type: "child_trip_event",
+    trip_id: childEvent.tripId,
+    child_id: childEvent.childId,
+    event_type: childEvent.eventType,
+  });
+}
+
+/**
+ * Marks a linked child as boarded, absent or dropped on the driver's open trip, with the van's
+ * latest location as a snapshot. Errors carry `statusCode` (403, 404, 409) for the caller.
+ */
+export async function recordChildTripEvent({ tripId, driverId, childId, eventType, note }) {
+  const session = await getOwnedTripSession(tripId, driverId);
+  if (session.status === "completed") {
+    throw createTransitionError("Trip has already ended");
+  }
+
+  const child = await getLinkedChild(driverId, childId);
+  if (!child) {
+    throw createStatusError("Child is not linked to this driver", 404);
+  }
+
+  const lastEventType = await getLastChildEventType(tripId, childId);
+  if (!CHILD_EVENT_TRANSITIONS[lastEventType].includes(eventType)) {
+    throw createTransitionError(`Child cannot be marked ${eventType} after ${lastEventType}`);
+  }
+
+  const location = await getLatestTripLocation(tripId);
+
+  const { data, error } = await supabase
+    .from("trip_child_events")
+    .insert({
+      trip_id: tripId,
+      driver_id: driverId,
+      child_id: childId,
+      event_type: eventType,
+      note: note ?? null,
+      latitude: location?.latitude ?? null,
+      longitude: location?.longitude ?? null,
+      location_recorded_at: location?.recordedAt ?? null,
+      recorded_at: new Date().toISOString(),
+    })
+    .select(CHILD_EVENT_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const childEvent = serializeChildEvent(data);
+  notifyChildParent(child, childEvent).catch((notifyError) => {
+    console.error("❌ Failed to notify parent of child trip event:", notifyError.message);
+  });
+
+  return childEvent;
+}
+
+export async function listChildTripEvents(tripId) {
+  const { data, error } = await supabase
+    .from("trip_child_events")
+    .select(CHILD_EVENT_COLUMNS)
+    .eq("trip_id", tripId)
+    .order("recorded_at", { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data ?? []).map(serializeChildEvent);
+}
+
+/**
+ * Children who were picked up and never dropped: every child expected on the trip's frozen
+ * manifest whose last mark is `boarded`. Children boarded without being on the manifest (linked
+ * after the trip started) are reported as well, since they are just as much on the van.
+ */
+export async function listChildrenOnBoard(tripId) {
+  const [manifest, events] = await Promise.all([getTripManifest(tripId), listChildTripEvents(tripId)]);
+
+  const lastEventByChild = new Map();
+  for (const childEvent of events) {
+    lastEventByChild.set(childEvent.childId, childEvent);
+  }
+
+  const manifestChildren = manifest?.children ?? [];
+  const manifestChildIds = new Set(manifestChildren.map((child) => child.childId));
+  const candidateChildIds = [
+    ...manifestChildren.map((child) => child.childId),
+    ...[...lastEventByChild.keys()].filter((childId) => !manifestChildIds.has(childId)),
+  ];
+  const onBoardChildIds = candidateChildIds.filter((childId) => lastEventByChild.get(childId)?.eventType === "boarded");
+
+  if (onBoardChildIds.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from("children")
+    .select("id, child_name, parent:parents(id, supabase_user_id)")
+    .in("id", onBoardChildIds);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const childrenById = new Map((data ?? []).map((child) => [child.id, child]));
+  const manifestNames = new Map(manifestChildren.map((child) => [child.childId, child.childName]));
+  return onBoardChildIds.map((childId) => {
+    const child = childrenById.get(childId);
+    return {
+      childId,
+      childName: manifestNames.get(childId) ?? child?.child_name ?? null,
+      parentSupabaseUserId: child?.parent?.supabase_user_id ?? null,
+      onManifest: manifestChildIds.has(childId),
+      boardedAt: lastEventByChild.get(childId).recordedAt,
+    };
+  });
+}
+
+// Safety alerts ignore notification preferences: a parent cannot opt out of these.
+async function alertChildrenLeftOnBoard({ tripId, driverId, childrenOnBoard, overrideReason }) {
+  const data = {
+    type: "children_left_on_board",
+    trip_id: tripId,
+    driver_id: driverId,
+    override_reason: overrideReason,
+  };
+
+  const parentAlerts = childrenOnBoard
+    .filter((child) => child.parentSupabaseUserId)
+    .map((child) => {
+      const content = withChildName(NOTIFICATION_STRINGS.TRIPS.CHILD_LEFT_ON_BOARD, child.childName ?? "Your child");
+      return notificationService.notifyUser(child.parentSupabaseUserId, content.title, content.body, {
+        ...data,
+        child_id: child.childId,
+      });
+    });
+
+  await Promise.all([
+    notifyAdmins(NOTIFICATION_STRINGS.ADMINS.CHILDREN_LEFT_ON_BOARD, {
+      ...data,
+      child_ids: childrenOnBoard.map((child) => child.childId).join(","),
+    }),
+    ...parentAlerts,
+  ]);
+}
+
+/**
+ * Completes a trip, checking the manifest for children still on board first. Driver ends are
+ * refused with a 409 listing those children unless `overrideReason` is given; the system passes
+ * its own reason so automatic ends go through the same path. A forced end stores the override on
+ * the session and raises a safety alert to admins and those children's parents.
+ */
+export async function endTripSession({ tripId, driverId, overrideReason, source = "driver", reason }) {
+  await getOwnedTripSession(tripId, driverId);
+
+  const childrenOnBoard = await listChildrenOnBoard(tripId);
+  const publicChildren = childrenOnBoard.map(({ parentSupabaseUserId, ...child }) => child);
+  if (childrenOnBoard.length > 0 && !overrideReason) {
+    const error = createTransitionError("Children are still marked on board; drop them off or give an override reason");
+    error.childrenOnBoard = publicChildren;
+    throw error;
+  }
+
+  const forced = childrenOnBoard.length > 0;
+  const session = await updateTripSessionStatus({
+    tripId,
+    driverId,
+    status: "completed",
+    tripPhase: "completed",
+    source,
+    reason: forced ? FORCE_END_STATUS_REASON : reason,
+    overrideReason: forced ? overrideReason : undefined,
+  });
+
+  // The trip is completed from here on, so nothing below may stop the alert or the summary.
+  if (forced) {
+    alertChildrenLeftOnBoard({ tripId, driverId, childrenOnBoard, overrideReason }).catch((alertError) => {
+      console.error("❌ Failed to raise children-on-board alert:", alertError.message);
+    });
+  }
+
+  generateTripSummaryInBackground(tripId);
+
+  return {
+    ...session,
+    childrenOnBoard: publicChildren,
+  };
+}
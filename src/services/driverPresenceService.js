@@ -0,0 +1,134 @@
+import { supabase } from "../config/supabaseClient.js";
+import { env } from "../config/env.js";
+import { NOTIFICATION_STRINGS } from "../config/notification_strings.js";
+import { notifyAdmins } from "./tripNotificationService.js";
+
+// Per active trip: when the driver app was last heard from on this instance, and which alerts
+// already went out. Location age in `active_trip_locations` covers restarts and other instances.
+const presenceByTrip = new Map();
+
+function getPresenceEntry(tripId) {
+  let entry = presenceByTrip.get(tripId);
+  if (!entry) {
+    entry = { seenAt: null, offline: false, alerted: false };
+    presenceByTrip.set(tripId, entry);
+  }
+  return entry;
+}
+
+function latestMs(...values) {
+  const times = values.map((value) => (value ? new Date(value).getTime() : NaN)).filter(Number.isFinite);
+  return times.length ? Math.max(...times) : null;
+}
+
+/**
+ * Records a heartbeat or location from the driver app. Returns true when the driver had been
+ * reported offline, so the caller can announce that they are back.
+ */
+export function recordDriverSeen(tripId) {
+  const entry = getPresenceEntry(tripId);
+  const wasOffline = entry.offline;
+
+  entry.seenAt = Date.now();
+  entry.offline = false;
+  entry.alerted = false;
+  return wasOffline;
+}
+
+export function forgetDriverPresence(tripId) {
+  presenceByTrip.delete(tripId);
+}
+
+/**
+ * `lastSeenAt` is the newer of the last heartbeat and `lastLocationAt`. A trip is stale once that
+ * is older than `TRACKING_STALE_SECONDS`.
+ */
+export function getDriverPresence(tripId, lastLocationAt) {
+  const seenMs = latestMs(presenceByTrip.get(tripId)?.seenAt, lastLocationAt);
+  if (seenMs === null) {
+    return { lastSeenAt: null, isStale: true };
+  }
+
+  return {
+    lastSeenAt: new Date(seenMs).toISOString(),
+    isStale: Date.now() - seenMs > env.TRACKING_STALE_SECONDS * 1000,
+  };
+}
+
+/**
+ * Checks every active trip. Returns the trips whose driver has just gone quiet, so the socket
+ * server can tell their rooms, and alerts admins once per silence about trips quiet for longer
+ * than `TRACKING_SILENT_ALERT_MINUTES`.
+ */
+export async function sweepDriverPresence() {
+  const sessions = await supabase.from("driver_trip_sessions").select("trip_id, driver_id").eq("status", "active");
+
+  if (sessions.error) {
+    throw new Error(sessions.error.message);
+  }
+
+  const activeSessions = sessions.data ?? [];
+  const activeTripIds = new Set(activeSessions.map((session) => session.trip_id));
+  for (const tripId of presenceByTrip.keys()) {
+    if (!activeTripIds.has(tripId)) {
+      presenceByTrip.delete(tripId);
+    }
+  }
+
+  if (!activeSessions.length) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from("active_trip_locations")
+    .select("trip_id, recorded_at")
+    .in("trip_id", [...activeTripIds]);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const lastLocationAtByTrip = new Map((data ?? []).map((row) => [row.trip_id, row.recorded_at]));
+  const alertAfterMs = env.TRACKING_SILENT_ALERT_MINUTES * 60 * 1000;
+  const wentOffline = [];
+  const silentTrips = [];
+
+  for (const session of activeSessions) {
+    const lastLocationAt = lastLocationAtByTrip.get(session.trip_id);
+    const entry = getPresenceEntry(session.trip_id);
+    const presence = getDriverPresence(session.trip_id, lastLocationAt);
+
+    // A trip started but never heard from is measured from now, not flagged immediately.
+    if (!presence.lastSeenAt) {
+      entry.seenAt = Date.now();
+      continue;
+    }
+
+    if (!presence.isStale) {
+      continue;
+    }
+
+    if (!entry.offline) {
+      entry.offline = true;
+      wentOffline.push({ tripId: session.trip_id, driverId: session.driver_id, lastSeenAt: presence.lastSeenAt });
+    }
+
+    if (!entry.alerted && Date.now() - new Date(presence.lastSeenAt).getTime() > alertAfterMs) {
+      entry.alerted = true;
+      silentTrips.push({ tripId: session.trip_id, driverId: session.driver_id, lastSeenAt: presence.lastSeenAt });
+    }
+  }
+
+  for (const silentTrip of silentTrips) {
+    notifyAdmins(NOTIFICATION_STRINGS.ADMINS.TRIP_SILENT, {
+      type: "trip_silent",
+      trip_id: silentTrip.tripId,
+      driver_id: silentTrip.driverId,
+      last_seen_at: silentTrip.lastSeenAt,
+    }).catch((notifyError) => {
+      console.error("❌ Failed to notify admins of silent trip:", notifyError.message);
+    });
+  }
+
+  return wentOffline;
+}
@@ -0,0 +1,326 @@
+import { supabase } from "../config/supabaseClient.js";
+import { env } from "../config/env.js";
+import { distanceMetersBetween } from "../utils/geo.js";
+
+const SAFETY_EVENT_COLUMNS =
+  "id, trip_id, driver_id, event_type, started_at, ended_at, speed_kmh, max_speed_kmh, acceleration_ms2, latitude, longitude";
+// Consecutive points further apart than this say nothing reliable about acceleration.
+const HARSH_SAMPLE_MAX_SECONDS = 15;
+const HARSH_EVENT_COOLDOWN_SECONDS = 10;
+const SCORE_PENALTIES = {
+  overspeed: 5,
+  harsh_braking: 3,
+  harsh_acceleration: 2,
+};
+// An overspeed event costs one extra point for every additional 30 seconds it lasted.
+const OVERSPEED_PENALTY_SECONDS = 30;
+const DRIVER_SCORE_DEFAULT_DAYS = 30;
+
+function serializeSafetyEvent(row) {
+  return {
+    id: row.id,
+    tripId: row.trip_id,
+    driverId: row.driver_id,
+    eventType: row.event_type,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    speedKmh: row.speed_kmh,
+    maxSpeedKmh: row.max_speed_kmh,
+    accelerationMs2: row.acceleration_ms2,
+    latitude: row.latitude,
+    longitude: row.longitude,
+  };
+}
+
+async function insertSafetyEvent(eventRow) {
+  const { data, error } = await supabase
+    .from("trip_safety_events")
+    .insert(eventRow)
+    .select(SAFETY_EVENT_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return serializeSafetyEvent(data);
+}
+
+async function closeOverspeedEvent(event, maxSpeedKmh, endedAt) {
+  const { error } = await supabase
+    .from("trip_safety_events")
+    .update({ ended_at: endedAt, max_speed_kmh: maxSpeedKmh })
+    .eq("id", event.id);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+// The trip cache can be dropped mid-overspeed (status change or TTL); the open row is the truth.
+async function loadOpenOverspeedEvent(tripId) {
+  const { data, error } = await supabase
+    .from("trip_safety_events")
+    .select(SAFETY_EVENT_COLUMNS)
+    .eq("trip_id", tripId)
+    .eq("event_type", "overspeed")
+    .is("ended_at", null)
+    .order("started_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data ? serializeSafetyEvent(data) : null;
+}
+
+function secondsBetween(startIso, endIso) {
+  return (new Date(endIso).getTime() - new Date(startIso).getTime()) / 1000;
+}
+
+function pointSpeedKmh(point, previousPoint, elapsedSeconds) {
+  if (Number.isFinite(point.speedKmh)) {
+    return point.speedKmh;
+  }
+
+  if (!previousPoint || elapsedSeconds <= 0) {
+    return null;
+  }
+
+  return (distanceMetersBetween(previousPoint, point) / elapsedSeconds) * 3.6;
+}
+
+async function evaluateOverspeed({ safetyState, tripId, driverId, point, speedKmh }) {
+  if (speedKmh === null || speedKmh <= env.TRACKING_SPEED_LIMIT_KMH) {
+    if (safetyState.openOverspeed) {
+      await closeOverspeedEvent(safetyState.openOverspeed, safetyState.maxSpeedKmh, point.recordedAt);
+    }
+    safetyState.overspeedSince = null;
+    safetyState.maxSpeedKmh = 0;
+    safetyState.openOverspeed = null;
+    return null;
+  }
+
+  safetyState.overspeedSince ??= point.recordedAt;
+  safetyState.maxSpeedKmh = Math.max(safetyState.maxSpeedKmh, speedKmh);
+
+  if (safetyState.openOverspeed) {
+    return null;
+  }
+
+  if (secondsBetween(safetyState.overspeedSince, point.recordedAt) < env.TRACKING_OVERSPEED_SECONDS) {
+    return null;
+  }
+
+  safetyState.openOverspeed = await insertSafetyEvent({
+    trip_id: tripId,
+    driver_id: driverId,
+    event_type: "overspeed",
+    started_at: safetyState.overspeedSince,
+    speed_kmh: speedKmh,
+    max_speed_kmh: safetyState.maxSpeedKmh,
+    latitude: point.latitude,
+    longitude: point.longitude,
+  });
+
+  return safetyState.openOverspeed;
+}
+
+async function evaluateHarshChange({ safetyState, tripId, driverId, point, speedKmh, elapsedSeconds }) {
+  const previousSpeedKmh = safetyState.lastSpeedKmh;
+  if (previousSpeedKmh === null || speedKmh === null) {
+    return null;
+  }
+
+  if (elapsedSeconds <= 0 || elapsedSeconds > HARSH_SAMPLE_MAX_SECONDS) {
+    return null;
+  }
+
+  const accelerationMs2 = (speedKmh - previousSpeedKmh) / 3.6 / elapsedSeconds;
+  let eventType = null;
+  if (accelerationMs2 >= env.TRACKING_HARSH_ACCELERATION_MS2) {
+    eventType = "harsh_acceleration";
+  } else if (accelerationMs2 <= -env.TRACKING_HARSH_BRAKING_MS2) {
+    eventType = "harsh_braking";
+  }
+
+  if (!eventType) {
+    return null;
+  }
+
+  const lastEventAt = safetyState.lastHarshEventAt[eventType];
+  if (lastEventAt && secondsBetween(lastEventAt, point.recordedAt) < HARSH_EVENT_COOLDOWN_SECONDS) {
+    return null;
+  }
+
+  safetyState.lastHarshEventAt[eventType] = point.recordedAt;
+
+  return insertSafetyEvent({
+    trip_id: tripId,
+    driver_id: driverId,
+    event_type: eventType,
+    started_at: safetyState.lastPoint.recordedAt,
+    ended_at: point.recordedAt,
+    speed_kmh: speedKmh,
+    max_speed_kmh: Math.max(speedKmh, previousSpeedKmh),
+    acceleration_ms2: Number(accelerationMs2.toFixed(2)),
+    latitude: point.latitude,
+    longitude: point.longitude,
+  });
+}
+
+/**
+ * Looks at each accepted location for sustained over-speed and for harsh acceleration or
+ * braking between consecutive points. `tripState` is the tracking service's per-trip cache entry.
+ */
+export async function analyzeDrivingSafety({ tripState, tripId, driverId, point }) {
+  if (!tripState.drivingSafety) {
+    const openOverspeed = await loadOpenOverspeedEvent(tripId);
+    tripState.drivingSafety ??= {
+      lastPoint: null,
+      lastSpeedKmh: null,
+      overspeedSince: openOverspeed?.startedAt ?? null,
+      maxSpeedKmh: openOverspeed?.maxSpeedKmh ?? 0,
+      openOverspeed,
+      lastHarshEventAt: {},
+    };
+  }
+
+  const safetyState = tripState.drivingSafety;
+  const previousPoint = safetyState.lastPoint;
+  const elapsedSeconds = previousPoint ? secondsBetween(previousPoint.recordedAt, point.recordedAt) : 0;
+
+  // Out-of-order points (e.g. a late offline batch) cannot be compared with the newest one.
+  if (previousPoint && elapsedSeconds <= 0) {
+    return [];
+  }
+
+  const speedKmh = pointSpeedKmh(point, previousPoint, elapsedSeconds);
+  const events = [];
+
+  const harshEvent = await evaluateHarshChange({ safetyState, tripId, driverId, point, speedKmh, elapsedSeconds });
+  if (harshEvent) {
+    events.push(harshEvent);
+  }
+
+  const overspeedEvent = await evaluateOverspeed({ safetyState, tripId, driverId, point, speedKmh });
+  if (overspeedEvent) {
+    events.push(overspeedEvent);
+  }
+
+  safetyState.lastPoint = point;
+  safetyState.lastSpeedKmh = speedKmh;
+  return events;
+}
+
+/**
+ * Closes an over-speed event still open when the trip ends, since no later point will.
+ */
+export async function closeOpenOverspeedEvents(tripId, endedAt) {
+  const { error } = await supabase
+    .from("trip_safety_events")
+    .update({ ended_at: endedAt })
+    .eq("trip_id", tripId)
+    .eq("event_type", "overspeed")
+    .is("ended_at", null);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+function eventPenalty(event) {
+  const basePenalty = SCORE_PENALTIES[event.eventType] ?? 0;
+  if (event.eventType !== "overspeed" || !event.endedAt) {
+    return basePenalty;
+  }
+
+  const extraSeconds = Math.max(0, secondsBetween(event.startedAt, event.endedAt) - env.TRACKING_OVERSPEED_SECONDS);
+  return basePenalty + Math.floor(extraSeconds / OVERSPEED_PENALTY_SECONDS);
+}
+
+function countEventTypes(events) {
+  return events.reduce(
+    (counts, event) => ({ ...counts, [event.eventType]: (counts[event.eventType] ?? 0) + 1 }),
+    { overspeed: 0, harsh_acceleration: 0, harsh_braking: 0 }
+  );
+}
+
+/**
+ * Scores start at 100 and lose points per safety event; see SCORE_PENALTIES.
+ */
+export function computeSafetyScore(events) {
+  const penalty = events.reduce((sum, event) => sum + eventPenalty(event), 0);
+  return Math.max(0, 100 - penalty);
+}
+
+export async function listTripSafetyEvents(tripId) {
+  const { data, error } = await supabase
+    .from("trip_safety_events")
+    .select(SAFETY_EVENT_COLUMNS)
+    .eq("trip_id", tripId)
+    .order("started_at", { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data ?? []).map(serializeSafetyEvent);
+}
+
+export async function getTripSafetyReport(tripId) {
+  const events = await listTripSafetyEvents(tripId);
+
+  return {
+    tripId,
+    score: computeSafetyScore(events),
+    counts: countEventTypes(events),
+    events,
+  };
+}
+
+/**
+ * Rolling driver score: the average trip score over the driver's trips in the last `days` days.
+ */
+export async function getDriverSafetyScore(driverId, days = DRIVER_SCORE_DEFAULT_DAYS) {
+  const windowDays = Math.max(Number(days) || DRIVER_SCORE_DEFAULT_DAYS, 1);
+  const sinceIso = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const sessions = await supabase
+    .from("driver_trip_sessions")
+    .select("trip_id")
+    .eq("driver_id", driverId)
+    .gte("started_at", sinceIso);
+
+  if (sessions.error) {
+    throw new Error(sessions.error.message);
+  }
+
+  const tripIds = (sessions.data ?? []).map((row) => row.trip_id);
+  if (!tripIds.length) {
+    return { driverId, windowDays, tripCount: 0, score: null, counts: countEventTypes([]) };
+  }
+
+  const { data, error } = await supabase
+    .from("trip_safety_events")
+    .select(SAFETY_EVENT_COLUMNS)
+    .in("trip_id", tripIds);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const events = (data ?? []).map(serializeSafetyEvent);
+  const tripScores = tripIds.map((tripId) => computeSafetyScore(events.filter((event) => event.tripId === tripId)));
+  const averageScore = tripScores.reduce((sum, score) => sum + score, 0) / tripScores.length;
+
+  return {
+    driverId,
+    windowDays,
+    tripCount: tripIds.length,
+    score: Number(averageScore.toFixed(1)),
+    counts: countEventTypes(events),
+  };
+}
@@ -0,0 +1,126 @@
+import { supabase } from "../config/supabaseClient.js";
+import { getDriverPresence } from "./driverPresenceService.js";
+
+async function selectIn(table, columns, column, values) {
+  if (!values.length) {
+    return [];
+  }
+
+  const { data, error } = await supabase.from(table).select(columns).in(column, values);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data ?? [];
+}
+
+/**
+ * Emergencies are raised from the driver app by Supabase user id; older rows carry `driver_id`.
+ */
+async function listOpenEmergencies(drivers) {
+  if (!drivers.length) {
+    return [];
+  }
+
+  const driverIds = drivers.map((driver) => driver.id).join(",");
+  const supabaseUserIds = drivers.map((driver) => driver.supabase_user_id).join(",");
+
+  const { data, error } = await supabase
+    .from("emergencies")
+    .select("id, driver_id, supabase_user_id, category, emergency_type, status, created_at")
+    .in("status", ["active", "acknowledged"])
+    .or(`driver_id.in.(${driverIds}),supabase_user_id.in.(${supabaseUserIds})`);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data ?? [];
+}
+
+/**
+ * Every active or paused trip with what operations staff need on the fleet map: where the van
+ * is, who is driving it, whether the driver app has gone quiet and any emergencies still open.
+ */
+export async function listActiveTripsOverview() {
+  const { data: sessions, error } = await supabase
+    .from("driver_trip_sessions")
+    .select("trip_id, driver_id, status, trip_phase, status_reason, started_at, updated_at")
+    .in("status", ["active", "paused"])
+    .order("started_at", { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!sessions?.length) {
+    return [];
+  }
+
+  const tripIds = sessions.map((session) => session.trip_id);
+  const driverIds = [...new Set(sessions.map((session) => session.driver_id))];
+
+  const [locations, drivers, vehicles] = await Promise.all([
+    selectIn(
+      "active_trip_locations",
+      "trip_id, latitude, longitude, speed_kmh, heading, trip_phase, recorded_at",
+      "trip_id",
+      tripIds
+    ),
+    selectIn("drivers", "id, supabase_user_id, first_name, last_name, phone", "id", driverIds),
+    selectIn("vehicles", "driver_id, license_plate, vehicle_make, vehicle_model", "driver_id", driverIds),
+  ]);
+  const emergencies = await listOpenEmergencies(drivers);
+
+  const locationByTrip = new Map(locations.map((row) => [row.trip_id, row]));
+  const driverById = new Map(drivers.map((row) => [row.id, row]));
+  const vehicleByDriver = new Map(vehicles.map((row) => [row.driver_id, row]));
+
+  return sessions.map((session) => {
+    const location = locationByTrip.get(session.trip_id);
+    const driver = driverById.get(session.driver_id);
+    const vehicle = vehicleByDriver.get(session.driver_id);
+    const presence = getDriverPresence(session.trip_id, location?.recorded_at);
+    const driverEmergencies = emergencies.filter(
+      (emergency) =>
+        emergency.driver_id === session.driver_id ||
+        (driver && emergency.supabase_user_id === driver.supabase_user_id)
+    );
+
+    return {
+      tripId: session.trip_id,
+      status: session.status,
+      statusReason: session.status_reason,
+      tripPhase: session.trip_phase,
+      startedAt: session.started_at,
+      updatedAt: session.updated_at,
+      driver: {
+        id: session.driver_id,
+        name: [driver?.first_name, driver?.last_name].filter(Boolean).join(" ") || null,
+        phone: driver?.phone ?? null,
+      },
+      vehicle: vehicle
+        ? { licensePlate: vehicle.license_plate, make: vehicle.vehicle_make, model: vehicle.vehicle_model }
+        : null,
+      location: location
+        ? {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            speedKmh: location.speed_kmh,
+            heading: location.heading,
+            recordedAt: location.recorded_at,
+          }
+        : null,
+      lastSeenAt: presence.lastSeenAt,
+      isStale: session.status === "active" && presence.isStale,
+      openEmergencies: driverEmergencies.map((emergency) => ({
+        id: emergency.id,
+        category: emergency.category,
+        type: emergency.emergency_type ?? null,
+        status: emergency.status,
+        createdAt: emergency.created_at,
+      })),
+    };
+  });
+}
@@ -0,0 +1,219 @@
+import { supabase } from "../config/supabaseClient.js";
+import { env } from "../config/env.js";
+import { NOTIFICATION_STRINGS } from "../config/notification_strings.js";
+import { distanceMetersBetween } from "../utils/geo.js";
+import { notifyAdmins } from "./tripNotificationService.js";
+
+const FLAG_COLUMNS =
+  "id, trip_id, driver_id, reason, rejected_points, latitude, longitude, flagged_at, status, reviewed_at, reviewed_by, review_note";
+// Jumps shorter than this are left to jitter smoothing; tiny time deltas make implied speeds meaningless.
+const JUMP_MIN_DISTANCE_METERS = 50;
+// Below this reported speed the van is treated as parked, so small moves are GPS jitter.
+const JITTER_MAX_SPEED_KMH = 3;
+const SUSPICIOUS_REASONS = ["impossible_jump", "mock_location"];
+// This many consecutive "impossible" points that are plausible relative to each other mean the
+// anchor was the bad fix, not them; the filter then moves its anchor to the new position.
+const ANCHOR_RESET_REJECTIONS = 3;
+
+export const LOCATION_REJECTION_MESSAGES = {
+  low_accuracy: "Location accuracy is too low",
+  impossible_jump: "Location jumped further than the van could travel",
+  mock_location: "Mock locations are not accepted",
+};
+
+export function createLocationFilterState() {
+  return {
+    lastAccepted: null,
+    rejectedRun: [],
+    suspiciousAt: [],
+    flagged: false,
+  };
+}
+
+function serializeLocationFlag(row) {
+  return {
+    id: row.id,
+    tripId: row.trip_id,
+    driverId: row.driver_id,
+    reason: row.reason,
+    rejectedPoints: row.rejected_points,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    flaggedAt: row.flagged_at,
+    status: row.status,
+    reviewedAt: row.reviewed_at,
+    reviewedBy: row.reviewed_by,
+    reviewNote: row.review_note,
+  };
+}
+
+function rejectionReasonFor(filterState, point) {
+  if (point.isMocked) {
+    return "mock_location";
+  }
+
+  if (Number.isFinite(point.accuracyM) && point.accuracyM > env.TRACKING_MAX_ACCURACY_METERS) {
+    return "low_accuracy";
+  }
+
+  const previous = filterState.lastAccepted;
+  if (!previous) {
+    return null;
+  }
+
+  const elapsedSeconds = (new Date(point.recordedAt).getTime() - new Date(previous.recordedAt).getTime()) / 1000;
+  const distanceM = distanceMetersBetween(previous, point);
+  if (distanceM < JUMP_MIN_DISTANCE_METERS) {
+    return null;
+  }
+
+  const impliedSpeedKmh = elapsedSeconds > 0 ? (distanceM / elapsedSeconds) * 3.6 : Infinity;
+  return impliedSpeedKmh > env.TRACKING_MAX_PLAUSIBLE_SPEED_KMH ? "impossible_jump" : null;
+}
+
+function smoothJitter(filterState, point) {
+  const previous = filterState.lastAccepted;
+  if (!previous || (Number.isFinite(point.speedKmh) && point.speedKmh > JITTER_MAX_SPEED_KMH)) {
+    return point;
+  }
+
+  if (distanceMetersBetween(previous, point) > env.TRACKING_JITTER_METERS) {
+    return point;
+  }
+
+  return { ...point, latitude: previous.latitude, longitude: previous.longitude };
+}
+
+/**
+ * Tracks consecutive jump rejections that agree with each other. Returns true once there are
+ * enough of them to trust the new position over the last accepted one.
+ */
+function shouldResetAnchor(filterState, point) {
+  const run = filterState.rejectedRun ?? [];
+  const lastRejected = run[run.length - 1];
+  const agrees = lastRejected && rejectionReasonFor({ lastAccepted: lastRejected }, point) === null;
+
+  filterState.rejectedRun = agrees ? [...run, point] : [point];
+  return filterState.rejectedRun.length >= ANCHOR_RESET_REJECTIONS;
+}
+
+/**
+ * Decides whether a point is good enough to persist. Points must be passed in capture order;
+ * older points than the last accepted one are compared with nothing and only accuracy-checked.
+ * Returns `{ accepted: true, point }` with jitter smoothed out, or `{ accepted: false, reason }`.
+ */
+export function filterLocationPoint(filterState, point) {
+  const previous = filterState.lastAccepted;
+  const isOlder = previous && new Date(point.recordedAt).getTime() <= new Date(previous.recordedAt).getTime();
+  const reason = rejectionReasonFor(isOlder ? { lastAccepted: null } : filterState, point);
+
+  if (reason === "impossible_jump" && !isOlder && shouldResetAnchor(filterState, point)) {
+    filterState.lastAccepted = point;
+    filterState.rejectedRun = [];
+    return { accepted: true, point, reanchored: true };
+  }
+
+  if (reason) {
+    if (SUSPICIOUS_REASONS.includes(reason)) {
+      // Capture time, not arrival time: a replayed offline batch must not squeeze hours of bad
+      // fixes into one window.
+      const pointMs = new Date(point.recordedAt).getTime();
+      const windowMs = env.TRACKING_SPOOF_WINDOW_SECONDS * 1000;
+      filterState.suspiciousAt = [
+        ...filterState.suspiciousAt.filter((at) => Math.abs(pointMs - at) <= windowMs),
+        pointMs,
+      ];
+    }
+    return { accepted: false, reason };
+  }
+
+  if (isOlder) {
+    return { accepted: true, point };
+  }
+
+  const smoothedPoint = smoothJitter(filterState, point);
+  filterState.lastAccepted = smoothedPoint;
+  filterState.rejectedRun = [];
+  return { accepted: true, point: smoothedPoint };
+}
+
+/**
+ * Flags the trip for admin review once `TRACKING_SPOOF_MIN_REJECTIONS` impossible jumps or mock
+ * locations arrive within `TRACKING_SPOOF_WINDOW_SECONDS`. A trip is only flagged once per process.
+ */
+export async function flagSuspectedSpoofing({ filterState, tripId, driverId, reason, point }) {
+  if (filterState.flagged || filterState.suspiciousAt.length < env.TRACKING_SPOOF_MIN_REJECTIONS) {
+    return null;
+  }
+
+  filterState.flagged = true;
+
+  const { data, error } = await supabase
+    .from("trip_location_flags")
+    .insert({
+      trip_id: tripId,
+      driver_id: driverId,
+      reason,
+      rejected_points: filterState.suspiciousAt.length,
+      latitude: point.latitude,
+      longitude: point.longitude,
+    })
+    .select(FLAG_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const flag = serializeLocationFlag(data);
+  notifyAdmins(NOTIFICATION_STRINGS.ADMINS.LOCATION_SPOOFING, {
+    type: "location_spoofing",
+    trip_id: tripId,
+    driver_id: driverId,
+    flag_id: flag.id,
+  }).catch((notifyError) => {
+    console.error("❌ Failed to notify suspected location spoofing:", notifyError.message);
+  });
+
+  return flag;
+}
+
+export async function listLocationFlags({ status, limit = 100 } = {}) {
+  let query = supabase
+    .from("trip_location_flags")
+    .select(FLAG_COLUMNS)
+    .order("flagged_at", { ascending: false })
+    .limit(Math.min(Math.max(limit, 1), 500));
+
+  if (status) {
+    query = query.eq("status", status);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data ?? []).map(serializeLocationFlag);
+}
+
+export async function reviewLocationFlag({ flagId, status, reviewedBy, note }) {
+  const { data, error } = await supabase
+    .from("trip_location_flags")
+    .update({
+      status,
+      review_note: note ?? null,
+      reviewed_by: reviewedBy,
+      reviewed_at: new Date().toISOString(),
+    })
+    .eq("id", flagId)
+    .select(FLAG_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data ? serializeLocationFlag(data) : null;
+}
@@ -0,0 +1,121 @@
+import { supabase } from "../config/supabaseClient.js";
+import { env } from "../config/env.js";
+import { getServiceDate, parsePickupTimeMinutes } from "../utils/tripTime.js";
+
+const MANIFEST_CHILD_COLUMNS =
+  "id, child_name, school, pickup_location, pickup_time, pickup_latitude, pickup_longitude, attendance_state, payment_status";
+
+function toManifestChild(row, attendanceKnown) {
+  const attendanceState = attendanceKnown ? row.attendance_state : "pending";
+
+  return {
+    childId: row.id,
+    childName: row.child_name,
+    school: row.school,
+    pickupLocation: row.pickup_location,
+    pickupTime: row.pickup_time,
+    pickupLatitude: row.pickup_latitude,
+    pickupLongitude: row.pickup_longitude,
+    attendanceState,
+    paymentStatus: row.payment_status,
+    expected: attendanceState !== "not_coming",
+  };
+}
+
+// Unreadable pickup times go last so they do not jump the queue.
+function comparePickupTimes(a, b) {
+  const aMinutes = parsePickupTimeMinutes(a.pickupTime) ?? Number.MAX_SAFE_INTEGER;
+  const bMinutes = parsePickupTimeMinutes(b.pickupTime) ?? Number.MAX_SAFE_INTEGER;
+  return aMinutes - bMinutes || a.childName.localeCompare(b.childName);
+}
+
+async function getFrozenManifestForDate(driverId, date) {
+  const { data, error } = await supabase
+    .from("driver_trip_sessions")
+    .select("trip_id, manifest")
+    .eq("driver_id", driverId)
+    .eq("service_date", date)
+    .not("manifest", "is", null)
+    .order("started_at", { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data ? { ...data.manifest, tripId: data.trip_id, frozen: true } : null;
+}
+
+/**
+ * Lists who the driver should collect on `date` (defaults to today in `TRACKING_TIME_ZONE`),
+ * ordered by pickup time. `children.attendance_state` only describes the coming day, so it is
+ * applied to today's manifest; other days show `pending`. Past days return the manifest frozen
+ * on that day's first trip when there is one.
+ */
+export async function buildDriverManifest(driverId, date) {
+  const today = getServiceDate(env.TRACKING_TIME_ZONE);
+  const manifestDate = date ?? today;
+
+  if (manifestDate < today) {
+    const frozen = await getFrozenManifestForDate(driverId, manifestDate);
+    if (frozen) {
+      return frozen;
+    }
+  }
+
+  const { data, error } = await supabase
+    .from("children")
+    .select(MANIFEST_CHILD_COLUMNS)
+    .eq("linked_driver_id", driverId);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const children = (data ?? [])
+    .map((row) => toManifestChild(row, manifestDate === today))
+    .sort(comparePickupTimes);
+
+  return {
+    driverId,
+    date: manifestDate,
+    generatedAt: new Date().toISOString(),
+    expectedCount: children.filter((child) => child.expected).length,
+    children,
+  };
+}
+
+/**
+ * Copies today's manifest onto a newly started trip so later reports know who was expected,
+ * even after parents change attendance or children are unlinked. An existing manifest is kept.
+ */
+export async function freezeTripManifest(tripId, driverId) {
+  const manifest = await buildDriverManifest(driverId);
+
+  const { error } = await supabase
+    .from("driver_trip_sessions")
+    .update({ manifest, service_date: manifest.date })
+    .eq("trip_id", tripId)
+    .is("manifest", null);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return manifest;
+}
+
+export async function getTripManifest(tripId) {
+  const { data, error } = await supabase
+    .from("driver_trip_sessions")
+    .select("manifest")
+    .eq("trip_id", tripId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data?.manifest ?? null;
+}
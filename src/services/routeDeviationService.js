@@ -0,0 +1,233 @@
+import { supabase } from "../config/supabaseClient.js";
+import { env } from "../config/env.js";
+import { NOTIFICATION_STRINGS } from "../config/notification_strings.js";
+import { distanceToPolylineMeters } from "../utils/geo.js";
+import {
+  getLinkedParentRecipients,
+  isRecentTimestamp,
+  notifyAdmins,
+  notifyRecipients,
+} from "./tripNotificationService.js";
+
+const DEVIATION_COLUMNS =
+  "id, trip_id, driver_id, transport_service_id, status, started_at, detected_at, ended_at, max_distance_m, latitude, longitude";
+
+function toCoordinate(value) {
+  if (value === null || value === undefined || value === "") {
+    return NaN;
+  }
+
+  return Number(value);
+}
+
+// route_stops and schools are free-form JSON from the driver app, so accept the usual spellings.
+function toRoutePoint(value) {
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+
+  const latitude = toCoordinate(value.latitude ?? value.lat);
+  const longitude = toCoordinate(value.longitude ?? value.lng ?? value.lon);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return null;
+  }
+
+  return { latitude, longitude };
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function serializeDeviation(row) {
+  return {
+    id: row.id,
+    tripId: row.trip_id,
+    driverId: row.driver_id,
+    transportServiceId: row.transport_service_id,
+    status: row.status,
+    startedAt: row.started_at,
+    detectedAt: row.detected_at,
+    endedAt: row.ended_at,
+    maxDistanceM: row.max_distance_m,
+    latitude: row.latitude,
+    longitude: row.longitude,
+  };
+}
+
+/**
+ * Builds the declared route of the driver's active transport service as a polyline:
+ * route start, then the advertised stops, then the schools.
+ */
+export async function getDeclaredRoute(driverId) {
+  const { data, error } = await supabase
+    .from("transport_services")
+    .select("id, route_start_lat, route_start_lng, route_stops, schools")
+    .eq("driver_id", driverId)
+    .eq("is_active", true)
+    .order("updated_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!data) {
+    return { transportServiceId: null, points: [] };
+  }
+
+  const points = [
+    toRoutePoint({ latitude: data.route_start_lat, longitude: data.route_start_lng }),
+    ...toArray(data.route_stops).map(toRoutePoint),
+    ...toArray(data.schools).map(toRoutePoint),
+  ].filter(Boolean);
+
+  return { transportServiceId: data.id, points };
+}
+
+async function getOpenDeviation(tripId) {
+  const { data, error } = await supabase
+    .from("trip_route_deviations")
+    .select(DEVIATION_COLUMNS)
+    .eq("trip_id", tripId)
+    .eq("status", "open")
+    .order("started_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data ? serializeDeviation(data) : null;
+}
+
+async function loadDeviationState(tripState, tripId, driverId) {
+  if (!tripState.routeDeviation) {
+    const [route, openDeviation] = await Promise.all([getDeclaredRoute(driverId), getOpenDeviation(tripId)]);
+    tripState.routeDeviation = {
+      route,
+      openDeviation,
+      outsideSince: openDeviation?.startedAt ?? null,
+      maxDistanceM: openDeviation?.maxDistanceM ?? 0,
+    };
+  }
+
+  return tripState.routeDeviation;
+}
+
+async function openDeviation({ tripId, driverId, deviationState, point }) {
+  const { data, error } = await supabase
+    .from("trip_route_deviations")
+    .insert({
+      trip_id: tripId,
+      driver_id: driverId,
+      transport_service_id: deviationState.route.transportServiceId,
+      status: "open",
+      started_at: deviationState.outsideSince,
+      detected_at: point.recordedAt,
+      max_distance_m: deviationState.maxDistanceM,
+      latitude: point.latitude,
+      longitude: point.longitude,
+    })
+    .select(DEVIATION_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return serializeDeviation(data);
+}
+
+async function resolveDeviation(deviation, maxDistanceM, endedAt) {
+  const { data, error } = await supabase
+    .from("trip_route_deviations")
+    .update({
+      status: "resolved",
+      ended_at: endedAt,
+      max_distance_m: maxDistanceM,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", deviation.id)
+    .select(DEVIATION_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return serializeDeviation(data);
+}
+
+async function notifyDeviationStarted(deviation) {
+  const data = {
+    type: "route_deviation",
+    trip_id: deviation.tripId,
+    deviation_id: deviation.id,
+  };
+
+  const recipients = await getLinkedParentRecipients(deviation.driverId);
+  await Promise.all([
+    notifyRecipients(recipients, NOTIFICATION_STRINGS.TRIPS.ROUTE_DEVIATION, "routeDeviation", data),
+    notifyAdmins(NOTIFICATION_STRINGS.ADMINS.ROUTE_DEVIATION, { ...data, driver_id: deviation.driverId }),
+  ]);
+}
+
+/**
+ * Compares a location with the declared route. A deviation is opened once the van has stayed
+ * outside the corridor for `TRACKING_ROUTE_DEVIATION_SECONDS`, and resolved when it returns.
+ * `tripState` is the tracking service's per-trip cache entry, so the route is loaded once per trip.
+ */
+export async function evaluateRouteDeviation({ tripState, tripId, driverId, point }) {
+  const deviationState = await loadDeviationState(tripState, tripId, driverId);
+  if (deviationState.route.points.length < 2) {
+    return null;
+  }
+
+  const distanceM = distanceToPolylineMeters(point, deviationState.route.points);
+  const recordedAtMs = new Date(point.recordedAt).getTime();
+
+  if (distanceM <= env.TRACKING_ROUTE_CORRIDOR_METERS) {
+    const { openDeviation: deviation, maxDistanceM } = deviationState;
+    deviationState.outsideSince = null;
+    deviationState.maxDistanceM = 0;
+    deviationState.openDeviation = null;
+
+    return deviation ? resolveDeviation(deviation, maxDistanceM, point.recordedAt) : null;
+  }
+
+  deviationState.outsideSince ??= point.recordedAt;
+  deviationState.maxDistanceM = Math.max(deviationState.maxDistanceM, Math.round(distanceM));
+
+  const outsideSeconds = (recordedAtMs - new Date(deviationState.outsideSince).getTime()) / 1000;
+  if (deviationState.openDeviation || outsideSeconds < env.TRACKING_ROUTE_DEVIATION_SECONDS) {
+    return null;
+  }
+
+  const deviation = await openDeviation({ tripId, driverId, deviationState, point });
+  deviationState.openDeviation = deviation;
+
+  if (isRecentTimestamp(point.recordedAt)) {
+    notifyDeviationStarted(deviation).catch((error) => {
+      console.error("❌ Failed to notify route deviation:", error.message);
+    });
+  }
+
+  return deviation;
+}
+
+export async function listTripRouteDeviations(tripId) {
+  const { data, error } = await supabase
+    .from("trip_route_deviations")
+    .select(DEVIATION_COLUMNS)
+    .eq("trip_id", tripId)
+    .order("started_at", { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data ?? []).map(serializeDeviation);
+}
@@ -0,0 +1,161 @@
+import { supabase } from "../config/supabaseClient.js";
+import { env } from "../config/env.js";
+
+// Write-behind buffer for trip_location_history. Rows from every trip are collected here and
+// written with bulk inserts, either when a batch fills up or on the flush interval.
+const pendingRows = [];
+let flushTimer = null;
+let flushInFlight = null;
+let droppedSinceLastReport = 0;
+let failedFlushAttempts = 0;
+let writerLog = null;
+
+// Postgres data exceptions (22) and constraint violations (23) come from the rows themselves and
+// will fail again on every retry; anything else (network, timeouts) is worth retrying.
+const ROW_ERROR_CODE_PREFIXES = ["22", "23"];
+// A batch that keeps failing for other reasons is dropped after this many flushes.
+const MAX_FLUSH_ATTEMPTS = 5;
+
+function isRowError(error) {
+  return ROW_ERROR_CODE_PREFIXES.some((prefix) => String(error?.code ?? "").startsWith(prefix));
+}
+
+/**
+ * Retries a batch that was refused because of its data one row at a time, so only the bad
+ * rows are lost. Returns the rows that could not be written, with their errors.
+ */
+async function insertRowsIndividually(batch) {
+  const rejectedRows = [];
+
+  for (const row of batch) {
+    const { error } = await supabase.from("trip_location_history").insert(row);
+    if (error) {
+      rejectedRows.push({ row, error });
+    }
+  }
+
+  return rejectedRows;
+}
+
+function trimToCapacity() {
+  const overflow = pendingRows.length - env.TRACKING_HISTORY_BUFFER_MAX_POINTS;
+  if (overflow > 0) {
+    pendingRows.splice(0, overflow);
+    droppedSinceLastReport += overflow;
+  }
+}
+
+export function enqueueHistoryRow(row) {
+  pendingRows.push(row);
+  trimToCapacity();
+
+  if (pendingRows.length >= env.TRACKING_HISTORY_FLUSH_BATCH_SIZE) {
+    flushHistoryRows();
+  }
+}
+
+async function writePendingRows() {
+  const startedAt = Date.now();
+  let flushedRows = 0;
+  let rejectedRows = 0;
+  let failure = null;
+
+  while (pendingRows.length > 0) {
+    const batch = pendingRows.splice(0, env.TRACKING_HISTORY_FLUSH_BATCH_SIZE);
+    const { error } = await supabase.from("trip_location_history").insert(batch);
+
+    if (error && isRowError(error)) {
+      const rejected = await insertRowsIndividually(batch);
+      if (rejected.length) {
+        writerLog?.error(
+          { error: rejected[0].error, rejectedRows: rejected.map(({ row }) => row) },
+          "Tracking history rows rejected by the database"
+        );
+      }
+      rejectedRows += rejected.length;
+      flushedRows += batch.length - rejected.length;
+      failedFlushAttempts = 0;
+      continue;
+    }
+
+    if (error) {
+      failedFlushAttempts += 1;
+      failure = error;
+
+      if (failedFlushAttempts >= MAX_FLUSH_ATTEMPTS) {
+        droppedSinceLastReport += batch.length;
+        failedFlushAttempts = 0;
+      } else {
+        // Put the batch back in front so ordering is kept for the next attempt.
+        pendingRows.unshift(...batch);
+        trimToCapacity();
+      }
+      break;
+    }
+
+    failedFlushAttempts = 0;
+    flushedRows += batch.length;
+  }
+
+  const report = {
+    flushedRows,
+    rejectedRows,
+    durationMs: Date.now() - startedAt,
+    pendingRows: pendingRows.length,
+    droppedPoints: droppedSinceLastReport,
+  };
+  droppedSinceLastReport = 0;
+
+  if (failure) {
+    writerLog?.error({ error: failure, ...report }, "Tracking history flush failed");
+  } else if (report.droppedPoints > 0) {
+    writerLog?.warn(report, "Tracking history flushed with dropped points");
+  } else if (flushedRows > 0) {
+    writerLog?.info(report, "Tracking history flushed");
+  }
+
+  return report;
+}
+
+export function flushHistoryRows() {
+  if (!flushInFlight) {
+    flushInFlight = writePendingRows().finally(() => {
+      flushInFlight = null;
+    });
+  }
+
+  return flushInFlight;
+}
+
+export function startTrackingHistoryWriter(log) {
+  writerLog = log;
+  if (flushTimer) {
+    return;
+  }
+
+  flushTimer = setInterval(flushHistoryRows, Math.max(100, env.TRACKING_HISTORY_FLUSH_INTERVAL_MS));
+  writerLog.info(
+    {
+      flushIntervalMs: env.TRACKING_HISTORY_FLUSH_INTERVAL_MS,
+      batchSize: env.TRACKING_HISTORY_FLUSH_BATCH_SIZE,
+      maxBufferedPoints: env.TRACKING_HISTORY_BUFFER_MAX_POINTS,
+    },
+    "Tracking history writer started"
+  );
+}
+
+export async function stopTrackingHistoryWriter() {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+
+  if (flushInFlight) {
+    await flushInFlight;
+  }
+
+  const report = await flushHistoryRows();
+  if (report.pendingRows > 0) {
+    writerLog?.error({ lostPoints: report.pendingRows }, "Tracking history writer stopped with unflushed points");
+  }
+}
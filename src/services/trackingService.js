@@ -1,9 +1,43 @@
 import { supabase } from "../config/supabaseClient.js";
+import { env } from "../config/env.js";
 import { randomUUID } from "node:crypto";
+import { distanceKmBetween, distanceMetersBetween, simplifyPolyline } from "../utils/geo.js";
+import { parsePickupTimeMinutes } from "../utils/tripTime.js";
+import { enqueueHistoryRow } from "./trackingHistoryWriter.js";
+import { analyzeDrivingSafety, closeOpenOverspeedEvents } from "./drivingSafetyService.js";
+import { createLocationFilterState, filterLocationPoint, flagSuspectedSpoofing } from "./locationFilterService.js";
+import { freezeTripManifest } from "./passengerManifestService.js";
+import { evaluateRouteDeviation } from "./routeDeviationService.js";
+import { findPlannedTripToStart, getPlannedTrip, markPlannedTripStarted } from "./tripScheduleService.js";
+import {
+  assertTripTransition,
+  createTransitionError,
+  isTripPhaseTransitionAllowed,
+  listTripPhaseHistory,
+  recordTripTransition,
+} from "./tripStateMachine.js";
+import { notifyParentsOfGeofenceEvents, notifyParentsOfTripStatus } from "./tripNotificationService.js";
 
 const HISTORY_SAVE_MIN_SECONDS = 10;
 const GEOFENCE_DEFAULT_RADIUS_METERS = 120;
 const RETENTION_DEFAULT_DAYS = 30;
+const STOP_POINT_LABELS = ["pickup", "school"];
+const ETA_SPEED_WINDOW_SECONDS = 300;
+const ETA_FALLBACK_SPEED_KMH = 25;
+const ETA_MIN_SPEED_KMH = 10;
+const ETA_STOP_DWELL_SECONDS = 60;
+// Straight-line distance underestimates road distance; this keeps ETAs from being optimistic.
+const ETA_ROAD_DISTANCE_FACTOR = 1.3;
+const CHILD_STOP_KEY_PREFIX = "child:";
+const SESSION_COLUMNS =
+  "id, trip_id, driver_id, status, trip_phase, status_reason, end_override_reason, started_at, ended_at, created_at, updated_at";
+const TRIP_STATE_TTL_MS = 30 * 60 * 1000;
+const TRIP_STATE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Per-instance hot-path state for trips that are publishing locations. Every write still goes
+// to Supabase first; the cache only saves the reads that saveDriverLocation would repeat per ping.
+const tripStateCache = new Map();
+let lastTripStateSweepAt = 0;
 
 function toIsoOrNow(value) {
   if (!value) {
@@ -31,32 +65,59 @@ function toDateOrNull(value) {
   return date;
 }
 
-function toRadians(degree) {
-  return (degree * Math.PI) / 180;
+function geofenceStopKey(label, childId) {
+  return childId ? `${CHILD_STOP_KEY_PREFIX}${childId}` : label;
 }
 
-function distanceMetersBetween(pointA, pointB) {
-  const earthRadiusMeters = 6371000;
+function sweepTripStateCache(now) {
+  if (now - lastTripStateSweepAt < TRIP_STATE_SWEEP_INTERVAL_MS) {
+    return;
+  }
 
-  const latitudeDelta = toRadians(pointB.latitude - pointA.latitude);
-  const longitudeDelta = toRadians(pointB.longitude - pointA.longitude);
+  lastTripStateSweepAt = now;
+  for (const [tripId, state] of tripStateCache) {
+    if (now - state.touchedAt > TRIP_STATE_TTL_MS) {
+      tripStateCache.delete(tripId);
+    }
+  }
+}
 
-  const latitudeARad = toRadians(pointA.latitude);
-  const latitudeBRad = toRadians(pointB.latitude);
+function getTripState(tripId) {
+  const now = Date.now();
+  sweepTripStateCache(now);
+
+  let state = tripStateCache.get(tripId);
+  if (!state) {
+    state = {
+      ownerDriverId: null,
+      sessionStatus: null,
+      tripPhase: null,
+      lastHistoryAt: undefined,
+      recentHistory: null,
+      geofencePoints: null,
+      geofencePointStates: new Map(),
+      routeDeviation: null,
+      drivingSafety: null,
+      locationFilter: createLocationFilterState(),
+      touchedAt: now,
+    };
+    tripStateCache.set(tripId, state);
+  }
 
-  const haversineA =
-    Math.sin(latitudeDelta / 2) * Math.sin(latitudeDelta / 2) +
-    Math.sin(longitudeDelta / 2) *
-      Math.sin(longitudeDelta / 2) *
-      Math.cos(latitudeARad) *
-      Math.cos(latitudeBRad);
+  state.touchedAt = now;
+  return state;
+}
 
-  const haversineC = 2 * Math.atan2(Math.sqrt(haversineA), Math.sqrt(1 - haversineA));
-  return earthRadiusMeters * haversineC;
+function invalidateTripState(tripId) {
+  tripStateCache.delete(tripId);
 }
 
-function distanceKmBetween(pointA, pointB) {
-  return distanceMetersBetween(pointA, pointB) / 1000;
+function invalidateTripGeofenceState(tripId) {
+  const state = tripStateCache.get(tripId);
+  if (state) {
+    state.geofencePoints = null;
+    state.geofencePointStates.clear();
+  }
 }
 
 export async function getDriverIdBySupabaseUserId(supabaseUserId) {
@@ -87,6 +148,20 @@ export async function getParentIdBySupabaseUserId(supabaseUserId) {
   return data?.id ?? null;
 }
 
+export async function isSupabaseUserAdmin(supabaseUserId) {
+  const { data, error } = await supabase
+    .from("users_meta")
+    .select("role")
+    .eq("supabase_user_id", supabaseUserId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data?.role === "admin";
+}
+
 export async function resolveTripDriverId(tripId) {
   const latestLocation = await supabase
     .from("active_trip_locations")
@@ -130,6 +205,60 @@ export async function isParentLinkedToDriver(parentId, driverId) {
   return Array.isArray(data) && data.length > 0;
 }
 
+export async function getParentChildIdsForDriver(parentId, driverId) {
+  const { data, error } = await supabase
+    .from("children")
+    .select("id")
+    .eq("parent_id", parentId)
+    .eq("linked_driver_id", driverId);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data ?? []).map((row) => row.id);
+}
+
+/**
+ * The parent's children grouped by the driver they are linked to: `[{ driverId, childIds }]`.
+ */
+export async function getParentChildIdsByDriver(parentId) {
+  const { data, error } = await supabase
+    .from("children")
+    .select("id, linked_driver_id")
+    .eq("parent_id", parentId)
+    .not("linked_driver_id", "is", null);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const childIdsByDriver = new Map();
+  for (const row of data ?? []) {
+    childIdsByDriver.set(row.linked_driver_id, [...(childIdsByDriver.get(row.linked_driver_id) ?? []), row.id]);
+  }
+
+  return [...childIdsByDriver].map(([driverId, childIds]) => ({ driverId, childIds }));
+}
+
+export async function listOpenTripsForDrivers(driverIds) {
+  if (!driverIds.length) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from("driver_trip_sessions")
+    .select(SESSION_COLUMNS)
+    .in("driver_id", driverIds)
+    .in("status", ["active", "paused"]);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data ?? []).map(toTripSession);
+}
+
 export async function canSupabaseUserAccessTrip(supabaseUserId, tripId) {
   const tripDriverId = await resolveTripDriverId(tripId);
   if (!tripDriverId) {
@@ -154,13 +283,67 @@ export async function canSupabaseUserAccessTrip(supabaseUserId, tripId) {
   return { allowed: true, userType: "parent", driverId: tripDriverId, parentId };
 }
 
-export async function updateTripSessionStatus({ tripId, driverId, status, tripPhase }) {
+function toTripSession(row) {
+  return {
+    id: row.id,
+    tripId: row.trip_id,
+    driverId: row.driver_id,
+    status: row.status,
+    tripPhase: row.trip_phase,
+    statusReason: row.status_reason,
+    endOverrideReason: row.end_override_reason,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Moves a trip to `status` and `tripPhase`, rejecting illegal moves with a 409 error (see
+ * tripStateMachine.js). Without `tripPhase` the current phase is kept. `started_at` is only set
+ * when the session is first created, and every change is written to the phase history.
+ * `reason` records why the system changed the status; driver actions clear it. `overrideReason`
+ * is why a trip was ended with children still on board (see childTripEventService.js).
+ */
+export async function updateTripSessionStatus({
+  tripId,
+  driverId,
+  status,
+  tripPhase,
+  source = "driver",
+  reason,
+  overrideReason,
+}) {
   await assertTripOwnedByDriver(tripId, driverId);
+  invalidateTripState(tripId);
 
   const nowIso = new Date().toISOString();
   const safeStatus = status;
-  const safeTripPhase = tripPhase ?? (safeStatus === "completed" ? "completed" : "en_route_to_pickups");
 
+  const previousSession = await supabase
+    .from("driver_trip_sessions")
+    .select("status, trip_phase")
+    .eq("trip_id", tripId)
+    .maybeSingle();
+
+  if (previousSession.error) {
+    throw new Error(previousSession.error.message);
+  }
+
+  const previousStatus = previousSession.data?.status ?? null;
+  const previousPhase = previousSession.data?.trip_phase ?? null;
+  const keptPhase = previousPhase && previousPhase !== "idle" ? previousPhase : "en_route_to_pickups";
+  const safeTripPhase = tripPhase ?? (safeStatus === "completed" ? "completed" : keptPhase);
+
+  assertTripTransition({
+    fromStatus: previousStatus,
+    toStatus: safeStatus,
+    fromPhase: previousPhase,
+    toPhase: safeTripPhase,
+  });
+
+  // started_at is left out so an existing session keeps it; a new row gets the column default.
   const upsertSession = await supabase
     .from("driver_trip_sessions")
     .upsert(
@@ -168,13 +351,15 @@ export async function updateTripSessionStatus({ tripId, driverId, status, tripPh
         trip_id: tripId,
         driver_id: driverId,
         status: safeStatus,
-        started_at: nowIso,
+        trip_phase: safeTripPhase,
+        status_reason: reason ?? null,
+        end_override_reason: overrideReason ?? null,
         ended_at: safeStatus === "completed" ? nowIso : null,
         updated_at: nowIso,
       },
       { onConflict: "trip_id" }
     )
-    .select("id, trip_id, driver_id, status, started_at, ended_at, created_at, updated_at")
+    .select(SESSION_COLUMNS)
     .single();
 
   if (upsertSession.error) {
@@ -189,29 +374,90 @@ export async function updateTripSessionStatus({ tripId, driverId, status, tripPh
     })
     .eq("trip_id", tripId)
     .eq("driver_id", driverId)
-    .select("trip_id")
+    .select("latitude, longitude")
     .maybeSingle();
 
   if (latestUpdate.error) {
     throw new Error(latestUpdate.error.message);
   }
 
+  if (previousStatus !== safeStatus || previousPhase !== safeTripPhase) {
+    await recordTripTransition({
+      tripId,
+      driverId,
+      fromStatus: previousStatus,
+      toStatus: safeStatus,
+      fromPhase: previousPhase,
+      toPhase: safeTripPhase,
+      source,
+      location: latestUpdate.data,
+      transitionedAt: nowIso,
+    });
+  }
+
+  if (safeStatus === "active") {
+    await createChildStopGeofences(tripId, driverId);
+  }
+
+  // Resuming from a pause is not a new trip as far as parents are concerned.
+  const isStart = safeStatus === "active" && previousStatus !== "active" && previousStatus !== "paused";
+  const isEnd = safeStatus === "completed" && previousStatus !== "completed";
+  if (isStart) {
+    await recordTripStarted(tripId, driverId);
+  }
+  if (isStart || isEnd) {
+    notifyTripStatusInBackground(tripId, driverId, safeStatus);
+  }
+  if (isEnd) {
+    closeOpenOverspeedEvents(tripId, nowIso).catch((error) => {
+      console.error("❌ Failed to close open overspeed events:", error.message);
+    });
+  }
+
   return {
-    id: upsertSession.data.id,
-    tripId: upsertSession.data.trip_id,
-    driverId: upsertSession.data.driver_id,
-    status: upsertSession.data.status,
-    tripPhase: safeTripPhase,
-    startedAt: upsertSession.data.started_at,
-    endedAt: upsertSession.data.ended_at,
-    createdAt: upsertSession.data.created_at,
-    updatedAt: upsertSession.data.updated_at,
+    ...toTripSession(upsertSession.data),
+    previousStatus,
   };
 }
 
+/**
+ * Marks the planned run behind a trip as started. A trip id the driver app chose itself is linked
+ * to today's unstarted run closest to now, so that run is not reported as missed.
+ */
+async function markPlannedRunStarted(tripId, driverId) {
+  const plannedTrip = await getPlannedTrip(tripId);
+  if (plannedTrip) {
+    await markPlannedTripStarted(plannedTrip.tripId);
+    return;
+  }
+
+  const todaysRun = await findPlannedTripToStart(driverId);
+  if (todaysRun) {
+    await markPlannedTripStarted(todaysRun.tripId, tripId);
+  }
+}
+
+/**
+ * Bookkeeping for a trip's first start: freezes the passenger manifest and marks the planned
+ * trip, if any, as started. The session is already active by then, so a failure here is logged
+ * rather than failing the start request or losing the location that started the trip.
+ */
+async function recordTripStarted(tripId, driverId) {
+  try {
+    await freezeTripManifest(tripId, driverId);
+  } catch (error) {
+    console.error("❌ Failed to freeze trip manifest:", error.message);
+  }
+
+  try {
+    await markPlannedRunStarted(tripId, driverId);
+  } catch (error) {
+    console.error("❌ Failed to mark planned trip started:", error.message);
+  }
+}
+
 export async function startOrCreateTripSessionForDriver({ driverId, tripPhase }) {
   const nowIso = new Date().toISOString();
-  const safeTripPhase = tripPhase ?? "en_route_to_pickups";
 
   const existingSession = await supabase
     .from("driver_trip_sessions")
@@ -231,11 +477,15 @@ export async function startOrCreateTripSessionForDriver({ driverId, tripPhase })
       tripId: existingSession.data.trip_id,
       driverId,
       status: "active",
-      tripPhase: safeTripPhase,
+      tripPhase,
     });
   }
 
-  const tripId = randomUUID();
+  // Today's planned run lends its id, so the schedule knows this trip happened.
+  const plannedTrip = await findPlannedTripToStart(driverId);
+  const tripId = plannedTrip?.tripId ?? randomUUID();
+  const safeTripPhase = tripPhase ?? "en_route_to_pickups";
+  assertTripTransition({ fromStatus: null, toStatus: "active", fromPhase: null, toPhase: safeTripPhase });
 
   const createSession = await supabase
     .from("driver_trip_sessions")
@@ -243,34 +493,43 @@ export async function startOrCreateTripSessionForDriver({ driverId, tripPhase })
       trip_id: tripId,
       driver_id: driverId,
       status: "active",
+      trip_phase: safeTripPhase,
       started_at: nowIso,
       ended_at: null,
       updated_at: nowIso,
     })
-    .select("id, trip_id, driver_id, status, started_at, ended_at, created_at, updated_at")
+    .select(SESSION_COLUMNS)
     .single();
 
   if (createSession.error) {
     throw new Error(createSession.error.message);
   }
 
+  await recordTripTransition({
+    tripId,
+    driverId,
+    fromStatus: null,
+    toStatus: "active",
+    fromPhase: null,
+    toPhase: safeTripPhase,
+    source: "driver",
+    transitionedAt: nowIso,
+  });
+
+  await createChildStopGeofences(tripId, driverId);
+  await recordTripStarted(tripId, driverId);
+  notifyTripStatusInBackground(tripId, driverId, "active");
+
   return {
-    id: createSession.data.id,
-    tripId: createSession.data.trip_id,
-    driverId: createSession.data.driver_id,
-    status: createSession.data.status,
-    tripPhase: safeTripPhase,
-    startedAt: createSession.data.started_at,
-    endedAt: createSession.data.ended_at,
-    createdAt: createSession.data.created_at,
-    updatedAt: createSession.data.updated_at,
+    ...toTripSession(createSession.data),
+    previousStatus: null,
   };
 }
 
 export async function getTripSession(tripId) {
   const { data, error } = await supabase
     .from("driver_trip_sessions")
-    .select("id, trip_id, driver_id, status, started_at, ended_at, created_at, updated_at")
+    .select(SESSION_COLUMNS)
     .eq("trip_id", tripId)
     .maybeSingle();
 
@@ -278,55 +537,143 @@ export async function getTripSession(tripId) {
     throw new Error(error.message);
   }
 
-  if (!data) {
+  return data ? toTripSession(data) : null;
+}
+
+/**
+ * Makes sure a trip receiving locations has an active session. A first location creates it, a
+ * location on a paused trip resumes it, and locations for an ended trip are refused with a 409.
+ * Returns the session when its status changed, so callers can broadcast it.
+ */
+async function ensureActiveTripSession(tripId, driverId, point, recordedAt) {
+  const tripState = getTripState(tripId);
+  if (tripState.sessionStatus === "active") {
     return null;
   }
 
-  return {
-    id: data.id,
-    tripId: data.trip_id,
-    driverId: data.driver_id,
-    status: data.status,
-    startedAt: data.started_at,
-    endedAt: data.ended_at,
-    createdAt: data.created_at,
-    updatedAt: data.updated_at,
-  };
-}
+  const existing = await supabase
+    .from("driver_trip_sessions")
+    .select("status, trip_phase")
+    .eq("trip_id", tripId)
+    .maybeSingle();
 
-export async function saveDriverLocation(locationPayload) {
-  await assertTripOwnedByDriver(locationPayload.tripId, locationPayload.driverId);
+  if (existing.error) {
+    throw new Error(existing.error.message);
+  }
 
-  const recordedAt = toIsoOrNow(locationPayload.recordedAt);
-  const nowIso = new Date().toISOString();
+  const previousStatus = existing.data?.status ?? null;
+  const previousPhase = existing.data?.trip_phase ?? null;
+  if (previousStatus === "completed") {
+    throw createTransitionError("Trip has already ended");
+  }
 
-  const upsertSession = await supabase.from("driver_trip_sessions").upsert(
-    {
-      trip_id: locationPayload.tripId,
-      driver_id: locationPayload.driverId,
-      status: "active",
-      started_at: recordedAt,
-      updated_at: nowIso,
-    },
-    { onConflict: "trip_id" }
-  );
+  let statusChange = null;
+  if (previousStatus !== "active") {
+    const nowIso = new Date().toISOString();
+    const upsertSession = await supabase
+      .from("driver_trip_sessions")
+      .upsert(
+        {
+          trip_id: tripId,
+          driver_id: driverId,
+          status: "active",
+          status_reason: null,
+          ...(previousStatus ? {} : { started_at: recordedAt, trip_phase: "idle" }),
+          updated_at: nowIso,
+        },
+        { onConflict: "trip_id" }
+      )
+      .select(SESSION_COLUMNS)
+      .single();
+
+    if (upsertSession.error) {
+      throw new Error(upsertSession.error.message);
+    }
 
-  if (upsertSession.error) {
-    throw new Error(upsertSession.error.message);
+    await recordTripTransition({
+      tripId,
+      driverId,
+      fromStatus: previousStatus,
+      toStatus: "active",
+      fromPhase: previousPhase,
+      toPhase: upsertSession.data.trip_phase,
+      source: "location",
+      location: point,
+      transitionedAt: recordedAt,
+    });
+
+    // Same steps as an explicit start or resume through updateTripSessionStatus.
+    await createChildStopGeofences(tripId, driverId);
+    if (!previousStatus) {
+      await recordTripStarted(tripId, driverId);
+      notifyTripStatusInBackground(tripId, driverId, "active");
+    }
+
+    statusChange = { ...toTripSession(upsertSession.data), previousStatus };
+  }
+
+  tripState.ownerDriverId = driverId;
+  tripState.sessionStatus = "active";
+  tripState.tripPhase = statusChange?.tripPhase ?? previousPhase ?? "idle";
+  return statusChange;
+}
+
+/**
+ * Applies the phase a driver app reports with a location. Legal moves update the session and
+ * phase history; illegal ones (and `completed`, which needs the end action) keep the current phase.
+ */
+async function applyReportedTripPhase(tripId, driverId, point, recordedAt) {
+  const tripState = getTripState(tripId);
+  const currentPhase = tripState.tripPhase ?? "idle";
+  const reportedPhase = point.tripPhase;
+
+  if (
+    !reportedPhase ||
+    reportedPhase === currentPhase ||
+    reportedPhase === "completed" ||
+    !isTripPhaseTransitionAllowed(currentPhase, reportedPhase)
+  ) {
+    return currentPhase;
+  }
+
+  const { error } = await supabase
+    .from("driver_trip_sessions")
+    .update({ trip_phase: reportedPhase, updated_at: new Date().toISOString() })
+    .eq("trip_id", tripId);
+
+  if (error) {
+    throw new Error(error.message);
   }
 
+  await recordTripTransition({
+    tripId,
+    driverId,
+    fromStatus: "active",
+    toStatus: "active",
+    fromPhase: currentPhase,
+    toPhase: reportedPhase,
+    source: "location",
+    location: point,
+    transitionedAt: recordedAt,
+  });
+
+  tripState.tripPhase = reportedPhase;
+  return reportedPhase;
+}
+
+async function upsertLatestTripLocation(tripId, driverId, point, recordedAt) {
   const upsertLatest = await supabase.from("active_trip_locations").upsert(
     {
-      trip_id: locationPayload.tripId,
-      driver_id: locationPayload.driverId,
-      latitude: locationPayload.latitude,
-      longitude: locationPayload.longitude,
-      speed_kmh: locationPayload.speedKmh,
-      heading: locationPayload.heading,
-      accuracy_m: locationPayload.accuracyM,
-      trip_phase: locationPayload.tripPhase,
+      trip_id: tripId,
+      driver_id: driverId,
+      latitude: point.latitude,
+      longitude: point.longitude,
+      speed_kmh: point.speedKmh,
+      heading: point.heading,
+      accuracy_m: point.accuracyM,
+      trip_phase: point.tripPhase,
       recorded_at: recordedAt,
-      updated_at: nowIso,
+      updated_at: new Date().toISOString(),
     },
     { onConflict: "trip_id" }
   );
@@ -334,50 +681,403 @@ export async function saveDriverLocation(locationPayload) {
   if (upsertLatest.error) {
     throw new Error(upsertLatest.error.message);
   }
+}
 
-  const shouldSaveHistory = await canInsertHistory(locationPayload.tripId, recordedAt);
-  if (shouldSaveHistory) {
-    const insertHistory = await supabase.from("trip_location_history").insert({
-      trip_id: locationPayload.tripId,
-      driver_id: locationPayload.driverId,
-      latitude: locationPayload.latitude,
-      longitude: locationPayload.longitude,
-      speed_kmh: locationPayload.speedKmh,
-      heading: locationPayload.heading,
-      accuracy_m: locationPayload.accuracyM,
-      trip_phase: locationPayload.tripPhase,
-      recorded_at: recordedAt,
-    });
+function queueHistoryPoint(tripId, driverId, point, recordedAt) {
+  enqueueHistoryRow({
+    trip_id: tripId,
+    driver_id: driverId,
+    latitude: point.latitude,
+    longitude: point.longitude,
+    speed_kmh: point.speedKmh,
+    heading: point.heading,
+    accuracy_m: point.accuracyM,
+    trip_phase: point.tripPhase,
+    recorded_at: recordedAt,
+  });
 
-    if (insertHistory.error) {
-      throw new Error(insertHistory.error.message);
-    }
+  rememberHistoryPoint(tripId, {
+    latitude: point.latitude,
+    longitude: point.longitude,
+    speedKmh: point.speedKmh,
+    recordedAt,
+  });
+}
+
+function toSavedLocation(tripId, driverId, point, recordedAt) {
+  return {
+    tripId,
+    driverId,
+    latitude: point.latitude,
+    longitude: point.longitude,
+    speedKmh: point.speedKmh,
+    heading: point.heading,
+    accuracyM: point.accuracyM,
+    tripPhase: point.tripPhase,
+    recordedAt,
+  };
+}
+
+function flagSuspectedSpoofingInBackground(filterState, tripId, driverId, reason, point) {
+  flagSuspectedSpoofing({ filterState, tripId, driverId, reason, point }).catch((error) => {
+    console.error("❌ Failed to flag suspected location spoofing:", error.message);
+  });
+}
+
+function notifyTripStatusInBackground(tripId, driverId, status) {
+  notifyParentsOfTripStatus({ tripId, driverId, status }).catch((error) => {
+    console.error("❌ Failed to notify parents of trip status:", error.message);
+  });
+}
+
+function notifyGeofenceEventsInBackground(tripId, driverId, geofenceEvents) {
+  if (!geofenceEvents.length) {
+    return;
+  }
+
+  // Push delivery must not hold up the location pipeline.
+  notifyParentsOfGeofenceEvents({ tripId, driverId, geofenceEvents }).catch((error) => {
+    console.error("❌ Failed to notify parents of geofence events:", error.message);
+  });
+}
+
+// Deviation alerts are advisory: a failure there must not cost parents the location itself.
+async function evaluateRouteDeviationSafely(tripId, driverId, point) {
+  try {
+    await evaluateRouteDeviation({ tripState: getTripState(tripId), tripId, driverId, point });
+  } catch (error) {
+    console.error("❌ Failed to evaluate route deviation:", error.message);
+  }
+}
+
+async function analyzeDrivingSafetySafely(tripId, driverId, point) {
+  try {
+    await analyzeDrivingSafety({ tripState: getTripState(tripId), tripId, driverId, point });
+  } catch (error) {
+    console.error("❌ Failed to analyze driving safety:", error.message);
+  }
+}
+
+export async function saveDriverLocation(locationPayload) {
+  const { tripId, driverId } = locationPayload;
+  await assertTripOwnedByDriver(tripId, driverId);
+
+  const recordedAt = toIsoOrNow(locationPayload.recordedAt);
+
+  const filterState = getTripState(tripId).locationFilter;
+  const filterResult = filterLocationPoint(filterState, { ...locationPayload, recordedAt });
+  if (!filterResult.accepted) {
+    flagSuspectedSpoofingInBackground(filterState, tripId, driverId, filterResult.reason, locationPayload);
+    return { tripId, driverId, recordedAt, rejectedReason: filterResult.reason };
+  }
+
+  const statusChange = await ensureActiveTripSession(tripId, driverId, filterResult.point, recordedAt);
+  const tripPhase = await applyReportedTripPhase(tripId, driverId, filterResult.point, recordedAt);
+  const acceptedPayload = { ...filterResult.point, tripPhase };
+
+  await upsertLatestTripLocation(tripId, driverId, acceptedPayload, recordedAt);
+
+  const shouldSaveHistory = await canInsertHistory(tripId, recordedAt);
+  if (shouldSaveHistory) {
+    queueHistoryPoint(tripId, driverId, acceptedPayload, recordedAt);
   }
 
   const geofenceEvents = await detectAndPersistGeofenceEvents({
-    tripId: locationPayload.tripId,
-    driverId: locationPayload.driverId,
-    latitude: locationPayload.latitude,
-    longitude: locationPayload.longitude,
+    tripId,
+    driverId,
+    latitude: acceptedPayload.latitude,
+    longitude: acceptedPayload.longitude,
     recordedAt,
   });
+  notifyGeofenceEventsInBackground(tripId, driverId, geofenceEvents);
 
-  return {
-    tripId: locationPayload.tripId,
-    driverId: locationPayload.driverId,
-    latitude: locationPayload.latitude,
-    longitude: locationPayload.longitude,
-    speedKmh: locationPayload.speedKmh,
-    heading: locationPayload.heading,
-    accuracyM: locationPayload.accuracyM,
-    tripPhase: locationPayload.tripPhase,
+  const analyzedPoint = {
+    latitude: acceptedPayload.latitude,
+    longitude: acceptedPayload.longitude,
+    speedKmh: acceptedPayload.speedKmh,
     recordedAt,
+  };
+  await evaluateRouteDeviationSafely(tripId, driverId, analyzedPoint);
+  await analyzeDrivingSafetySafely(tripId, driverId, analyzedPoint);
+
+  const etas = await computeTripStopEtas(tripId, {
+    latitude: acceptedPayload.latitude,
+    longitude: acceptedPayload.longitude,
+    tripPhase: acceptedPayload.tripPhase,
+    recordedAt,
+  });
+
+  return {
+    ...toSavedLocation(tripId, driverId, acceptedPayload, recordedAt),
+    geofenceEvents,
+    etas,
+    statusChange,
+  };
+}
+
+// Throttled within the batch only; returns how many points were queued.
+function queueBatchHistory(tripId, driverId, orderedPoints) {
+  let historyPoints = 0;
+  let lastQueuedAt = null;
+
+  for (const point of orderedPoints) {
+    const recordedAtMs = new Date(point.recordedAt).getTime();
+    if (lastQueuedAt === null || recordedAtMs - lastQueuedAt >= HISTORY_SAVE_MIN_SECONDS * 1000) {
+      queueHistoryPoint(tripId, driverId, point, point.recordedAt);
+      lastQueuedAt = recordedAtMs;
+      historyPoints += 1;
+    }
+  }
+
+  return historyPoints;
+}
+
+/**
+ * Backfills points the driver app buffered while it had no signal. History is throttled within
+ * the batch only, so offline points are kept even when newer live points were already stored.
+ * The latest location only moves forward. Points newer than it replay geofence, route and safety
+ * detection in capture order so events keep their original timestamps; older points only fill
+ * history, because the live state has already moved past them. A batch for a completed trip only
+ * fills history and leaves the ended session as it is.
+ */
+export async function saveDriverLocationBatch({ tripId, driverId, points }) {
+  await assertTripOwnedByDriver(tripId, driverId);
+
+  const sortedPoints = points
+    .map((point) => ({ ...point, recordedAt: toIsoOrNow(point.recordedAt) }))
+    .sort((pointA, pointB) => new Date(pointA.recordedAt).getTime() - new Date(pointB.recordedAt).getTime());
+
+  // Offline points are filtered against each other, not against live points sent since reconnecting.
+  const tripFilterState = getTripState(tripId).locationFilter;
+  const batchFilterState = { ...createLocationFilterState(), suspiciousAt: tripFilterState.suspiciousAt };
+  const orderedPoints = [];
+  const rejectedReasons = {};
+
+  for (const point of sortedPoints) {
+    const filterResult = filterLocationPoint(batchFilterState, point);
+    if (filterResult.accepted) {
+      orderedPoints.push(filterResult.point);
+      continue;
+    }
+
+    rejectedReasons[filterResult.reason] = (rejectedReasons[filterResult.reason] ?? 0) + 1;
+    tripFilterState.suspiciousAt = batchFilterState.suspiciousAt;
+    flagSuspectedSpoofingInBackground(tripFilterState, tripId, driverId, filterResult.reason, point);
+  }
+
+  const rejectedPoints = sortedPoints.length - orderedPoints.length;
+  if (!orderedPoints.length) {
+    return {
+      tripId,
+      acceptedPoints: 0,
+      rejectedPoints,
+      rejectedReasons,
+      historyPoints: 0,
+      geofenceEvents: [],
+      latest: null,
+      statusChange: null,
+    };
+  }
+
+  // A batch queued offline can arrive after the trip ended; its points still belong in history.
+  const session = getTripState(tripId).sessionStatus === "active" ? null : await getTripSession(tripId);
+  if (session?.status === "completed") {
+    return {
+      tripId,
+      acceptedPoints: orderedPoints.length,
+      rejectedPoints,
+      rejectedReasons,
+      historyPoints: queueBatchHistory(tripId, driverId, orderedPoints),
+      geofenceEvents: [],
+      latest: null,
+      statusChange: null,
+    };
+  }
+
+  const statusChange = await ensureActiveTripSession(tripId, driverId, orderedPoints[0], orderedPoints[0].recordedAt);
+  const current = await getLatestTripLocation(tripId);
+  const currentRecordedAtMs = current ? new Date(current.recordedAt).getTime() : null;
+
+  const historyPoints = queueBatchHistory(tripId, driverId, orderedPoints);
+  const geofenceEvents = [];
+
+  for (const point of orderedPoints) {
+    if (currentRecordedAtMs !== null && new Date(point.recordedAt).getTime() <= currentRecordedAtMs) {
+      continue;
+    }
+
+    const pointEvents = await detectAndPersistGeofenceEvents({
+      tripId,
+      driverId,
+      latitude: point.latitude,
+      longitude: point.longitude,
+      recordedAt: point.recordedAt,
+    });
+    geofenceEvents.push(...pointEvents);
+
+    await evaluateRouteDeviationSafely(tripId, driverId, point);
+    await analyzeDrivingSafetySafely(tripId, driverId, point);
+  }
+
+  notifyGeofenceEventsInBackground(tripId, driverId, geofenceEvents);
+
+  const newestPoint = orderedPoints[orderedPoints.length - 1];
+  const isNewer = currentRecordedAtMs === null || new Date(newestPoint.recordedAt).getTime() > currentRecordedAtMs;
+
+  // Only a point newer than the live one may move the trip phase; older ones keep what they reported.
+  let latest = null;
+  if (isNewer) {
+    const tripPhase = await applyReportedTripPhase(tripId, driverId, newestPoint, newestPoint.recordedAt);
+    const latestPoint = { ...newestPoint, tripPhase };
+    await upsertLatestTripLocation(tripId, driverId, latestPoint, latestPoint.recordedAt);
+    getTripState(tripId).locationFilter.lastAccepted = latestPoint;
+
+    const etas = await computeTripStopEtas(tripId, latestPoint);
+    latest = {
+      ...toSavedLocation(tripId, driverId, latestPoint, latestPoint.recordedAt),
+      geofenceEvents,
+      etas,
+    };
+  }
+
+  return {
+    tripId,
+    acceptedPoints: orderedPoints.length,
+    rejectedPoints,
+    rejectedReasons,
+    historyPoints,
     geofenceEvents,
+    latest,
+    statusChange,
   };
 }
 
+async function getRecentHistory(tripId, recordedAtIso) {
+  const tripState = getTripState(tripId);
+  const windowEnd = toDateOrNull(recordedAtIso) ?? new Date();
+  const windowStartMs = windowEnd.getTime() - ETA_SPEED_WINDOW_SECONDS * 1000;
+
+  if (!tripState.recentHistory) {
+    const { data, error } = await supabase
+      .from("trip_location_history")
+      .select("latitude, longitude, speed_kmh, recorded_at")
+      .eq("trip_id", tripId)
+      .gte("recorded_at", new Date(windowStartMs).toISOString())
+      .lte("recorded_at", windowEnd.toISOString())
+      .order("recorded_at", { ascending: true });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    tripState.recentHistory = (data ?? []).map((row) => ({
+      latitude: row.latitude,
+      longitude: row.longitude,
+      speedKmh: row.speed_kmh,
+      recordedAt: row.recorded_at,
+    }));
+  }
+
+  return tripState.recentHistory.filter((point) => {
+    const recordedAtMs = new Date(point.recordedAt).getTime();
+    return recordedAtMs >= windowStartMs && recordedAtMs <= windowEnd.getTime();
+  });
+}
+
+function rememberHistoryPoint(tripId, point) {
+  const tripState = getTripState(tripId);
+  const recordedAtMs = new Date(point.recordedAt).getTime();
+  tripState.lastHistoryAt = Math.max(tripState.lastHistoryAt ?? 0, recordedAtMs);
+
+  if (!tripState.recentHistory) {
+    return;
+  }
+
+  const windowStartMs = tripState.lastHistoryAt - ETA_SPEED_WINDOW_SECONDS * 1000;
+  tripState.recentHistory = tripState.recentHistory
+    .concat(point)
+    .filter((entry) => new Date(entry.recordedAt).getTime() >= windowStartMs)
+    .sort((entryA, entryB) => new Date(entryA.recordedAt).getTime() - new Date(entryB.recordedAt).getTime());
+}
+
+async function getRecentSpeedKmh(tripId, recordedAtIso) {
+  const points = await getRecentHistory(tripId, recordedAtIso);
+
+  const stats = buildPlaybackStats(points);
+  if (stats.averageSpeedKmh !== null) {
+    return stats.averageSpeedKmh;
+  }
+
+  const reportedSpeeds = points.map((point) => point.speedKmh).filter((speed) => Number.isFinite(speed));
+  if (!reportedSpeeds.length) {
+    return null;
+  }
+
+  return reportedSpeeds.reduce((sum, speed) => sum + speed, 0) / reportedSpeeds.length;
+}
+
+export async function computeTripStopEtas(tripId, location) {
+  if (location.tripPhase === "completed") {
+    return [];
+  }
+
+  const points = (await getCachedGeofencePoints(tripId)).filter((point) => STOP_POINT_LABELS.includes(point.label));
+  if (!points.length) {
+    return [];
+  }
+
+  const remainingPoints = [];
+  for (const point of points) {
+    const pointState = await getGeofencePointState(tripId, point.id);
+    if (!pointState.reached) {
+      remainingPoints.push(point);
+    }
+  }
+  if (!remainingPoints.length) {
+    return [];
+  }
+
+  const recentSpeedKmh = await getRecentSpeedKmh(tripId, location.recordedAt);
+  const speedKmh = Math.max(recentSpeedKmh ?? ETA_FALLBACK_SPEED_KMH, ETA_MIN_SPEED_KMH);
+  const metersPerSecond = speedKmh / 3.6;
+  const baseTime = (toDateOrNull(location.recordedAt) ?? new Date()).getTime();
+
+  let previous = location;
+  let cumulativeDistanceM = 0;
+  let cumulativeSeconds = 0;
+
+  return remainingPoints.map((point, index) => {
+    const legDistanceM = distanceMetersBetween(previous, point) * ETA_ROAD_DISTANCE_FACTOR;
+    cumulativeDistanceM += legDistanceM;
+    cumulativeSeconds += legDistanceM / metersPerSecond + (index > 0 ? ETA_STOP_DWELL_SECONDS : 0);
+    previous = point;
+
+    return {
+      pointId: point.id,
+      label: point.label,
+      childId: point.childId,
+      distanceM: Math.round(cumulativeDistanceM),
+      etaSeconds: Math.round(cumulativeSeconds),
+      etaAt: new Date(baseTime + cumulativeSeconds * 1000).toISOString(),
+      speedKmh: Number(speedKmh.toFixed(1)),
+    };
+  });
+}
+
+/**
+ * Keeps items that are shared by the whole trip (no childId) or that belong to one of the
+ * given children. Used for stop ETAs and geofence events shown to parents.
+ */
+export function filterItemsForChildren(items, childIds) {
+  if (!Array.isArray(items)) {
+    return [];
+  }
+
+  return items.filter((item) => !item.childId || childIds.includes(item.childId));
+}
+
 async function detectAndPersistGeofenceEvents(locationPayload) {
-  const points = await getTripGeofencePoints(locationPayload.tripId);
+  const points = await getCachedGeofencePoints(locationPayload.tripId);
   if (!points.length) {
     return [];
   }
@@ -397,13 +1097,35 @@ async function detectAndPersistGeofenceEvents(locationPayload) {
     );
 
     const isInside = distanceM <= (point.radiusM ?? GEOFENCE_DEFAULT_RADIUS_METERS);
-    const lastEvent = await getLastGeofenceEventForPoint(point.id);
+    const pointState = await getGeofencePointState(locationPayload.tripId, point.id);
 
-    if (isInside && lastEvent?.eventType !== "entered") {
+    if (!isInside && !pointState.approached && !pointState.reached && STOP_POINT_LABELS.includes(point.label)) {
+      const isApproaching = await isApproachingPoint(locationPayload, point, distanceM);
+      if (isApproaching) {
+        const approachingEvent = await createGeofenceEvent({
+          pointId: point.id,
+          tripId: locationPayload.tripId,
+          driverId: locationPayload.driverId,
+          childId: point.childId,
+          label: point.label,
+          eventType: "approaching",
+          distanceM,
+          latitude: locationPayload.latitude,
+          longitude: locationPayload.longitude,
+          recordedAt: locationPayload.recordedAt,
+        });
+
+        pointState.approached = true;
+        createdEvents.push(approachingEvent);
+      }
+    }
+
+    if (isInside && pointState.lastEventType !== "entered") {
       const enteredEvent = await createGeofenceEvent({
         pointId: point.id,
         tripId: locationPayload.tripId,
         driverId: locationPayload.driverId,
+        childId: point.childId,
         label: point.label,
         eventType: "entered",
         distanceM,
@@ -412,32 +1134,38 @@ async function detectAndPersistGeofenceEvents(locationPayload) {
         recordedAt: locationPayload.recordedAt,
       });
 
+      pointState.lastEventType = "entered";
+      pointState.lastEventAt = enteredEvent.recordedAt;
       createdEvents.push(enteredEvent);
     }
 
-    if (!isInside && lastEvent?.eventType === "entered") {
+    if (!isInside && pointState.lastEventType === "entered") {
       const exitedEvent = await createGeofenceEvent({
         pointId: point.id,
         tripId: locationPayload.tripId,
         driverId: locationPayload.driverId,
+        childId: point.childId,
         label: point.label,
         eventType: "exited",
         distanceM,
         latitude: locationPayload.latitude,
         longitude: locationPayload.longitude,
         recordedAt: locationPayload.recordedAt,
+        dwellSeconds: dwellSecondsBetween(pointState.lastEventAt, locationPayload.recordedAt),
       });
 
+      pointState.lastEventType = "exited";
+      pointState.lastEventAt = exitedEvent.recordedAt;
       createdEvents.push(exitedEvent);
     }
 
     if (isInside) {
-      const alreadyReached = await hasReachedEventForPoint(point.id);
-      if (!alreadyReached) {
+      if (!pointState.reached) {
         const reachedEvent = await createGeofenceEvent({
           pointId: point.id,
           tripId: locationPayload.tripId,
           driverId: locationPayload.driverId,
+          childId: point.childId,
           label: point.label,
           eventType: "reached",
           distanceM,
@@ -446,6 +1174,7 @@ async function detectAndPersistGeofenceEvents(locationPayload) {
           recordedAt: locationPayload.recordedAt,
         });
 
+        pointState.reached = true;
         createdEvents.push(reachedEvent);
       }
     }
@@ -454,11 +1183,77 @@ async function detectAndPersistGeofenceEvents(locationPayload) {
   return createdEvents;
 }
 
+/**
+ * A stop counts as approached once the van is inside its outer approach radius, or once the
+ * estimated drive time at the recent average speed drops below the configured lead time.
+ */
+async function isApproachingPoint(locationPayload, point, distanceM) {
+  const approachRadiusM = point.approachRadiusM ?? env.TRACKING_APPROACH_RADIUS_METERS;
+  if (distanceM <= approachRadiusM) {
+    return true;
+  }
+
+  if (env.TRACKING_APPROACH_MINUTES <= 0) {
+    return false;
+  }
+
+  const recentSpeedKmh = await getRecentSpeedKmh(locationPayload.tripId, locationPayload.recordedAt);
+  if (!recentSpeedKmh) {
+    return false;
+  }
+
+  const etaSeconds = (distanceM * ETA_ROAD_DISTANCE_FACTOR) / (recentSpeedKmh / 3.6);
+  return etaSeconds <= env.TRACKING_APPROACH_MINUTES * 60;
+}
+
+function dwellSecondsBetween(enteredAtIso, exitedAtIso) {
+  const enteredAt = toDateOrNull(enteredAtIso);
+  const exitedAt = toDateOrNull(exitedAtIso);
+  if (!enteredAt || !exitedAt) {
+    return null;
+  }
+
+  return Math.max(0, Math.round((exitedAt.getTime() - enteredAt.getTime()) / 1000));
+}
+
+async function getCachedGeofencePoints(tripId) {
+  const tripState = getTripState(tripId);
+  if (!tripState.geofencePoints) {
+    tripState.geofencePoints = await getTripGeofencePoints(tripId);
+  }
+
+  return tripState.geofencePoints;
+}
+
+async function getGeofencePointState(tripId, pointId) {
+  const tripState = getTripState(tripId);
+  let pointState = tripState.geofencePointStates.get(pointId);
+
+  if (!pointState) {
+    const [lastEvent, reached, approached] = await Promise.all([
+      getLastGeofenceEventForPoint(pointId),
+      hasGeofenceEventForPoint(pointId, "reached"),
+      hasGeofenceEventForPoint(pointId, "approaching"),
+    ]);
+
+    pointState = {
+      lastEventType: lastEvent?.eventType ?? null,
+      lastEventAt: lastEvent?.recordedAt ?? null,
+      reached,
+      approached,
+    };
+    tripState.geofencePointStates.set(pointId, pointState);
+  }
+
+  return pointState;
+}
+
 async function getLastGeofenceEventForPoint(pointId) {
   const { data, error } = await supabase
     .from("trip_geofence_events")
     .select("event_type, recorded_at")
     .eq("point_id", pointId)
+    .in("event_type", ["entered", "exited"])
     .order("recorded_at", { ascending: false })
     .limit(1)
     .maybeSingle();
@@ -477,12 +1272,12 @@ async function getLastGeofenceEventForPoint(pointId) {
   };
 }
 
-async function hasReachedEventForPoint(pointId) {
+async function hasGeofenceEventForPoint(pointId, eventType) {
   const { data, error } = await supabase
     .from("trip_geofence_events")
     .select("id")
     .eq("point_id", pointId)
-    .eq("event_type", "reached")
+    .eq("event_type", eventType)
     .limit(1);
 
   if (error) {
@@ -499,14 +1294,18 @@ async function createGeofenceEvent(eventPayload) {
       point_id: eventPayload.pointId,
       trip_id: eventPayload.tripId,
       driver_id: eventPayload.driverId,
+      child_id: eventPayload.childId ?? null,
       label: eventPayload.label,
       event_type: eventPayload.eventType,
       distance_m: eventPayload.distanceM,
       latitude: eventPayload.latitude,
       longitude: eventPayload.longitude,
       recorded_at: eventPayload.recordedAt,
+      dwell_seconds: eventPayload.dwellSeconds ?? null,
     })
-    .select("id, point_id, trip_id, driver_id, label, event_type, distance_m, latitude, longitude, recorded_at")
+    .select(
+      "id, point_id, trip_id, driver_id, child_id, label, event_type, distance_m, dwell_seconds, latitude, longitude, recorded_at"
+    )
     .single();
 
   if (error) {
@@ -518,9 +1317,11 @@ async function createGeofenceEvent(eventPayload) {
     pointId: data.point_id,
     tripId: data.trip_id,
     driverId: data.driver_id,
+    childId: data.child_id,
     label: data.label,
     eventType: data.event_type,
     distanceM: data.distance_m,
+    dwellSeconds: data.dwell_seconds,
     latitude: data.latitude,
     longitude: data.longitude,
     recordedAt: data.recorded_at,
@@ -530,9 +1331,10 @@ async function createGeofenceEvent(eventPayload) {
 export async function getTripGeofencePoints(tripId) {
   const { data, error } = await supabase
     .from("trip_geofence_points")
-    .select("id, trip_id, driver_id, label, latitude, longitude, radius_m, is_active")
+    .select("id, trip_id, driver_id, child_id, label, latitude, longitude, radius_m, approach_radius_m, is_active, sort_order")
     .eq("trip_id", tripId)
     .eq("is_active", true)
+    .order("sort_order", { ascending: true, nullsFirst: false })
     .order("created_at", { ascending: true });
 
   if (error) {
@@ -543,11 +1345,14 @@ export async function getTripGeofencePoints(tripId) {
     id: row.id,
     tripId: row.trip_id,
     driverId: row.driver_id,
+    childId: row.child_id,
     label: row.label,
     latitude: row.latitude,
     longitude: row.longitude,
     radiusM: row.radius_m,
+    approachRadiusM: row.approach_radius_m,
     isActive: row.is_active,
+    sortOrder: row.sort_order,
   }));
 }
 
@@ -559,64 +1364,171 @@ export async function upsertTripGeofencePoint(pointPayload) {
       {
         trip_id: pointPayload.tripId,
         driver_id: pointPayload.driverId,
+        child_id: pointPayload.childId ?? null,
+        stop_key: geofenceStopKey(pointPayload.label, pointPayload.childId),
         label: pointPayload.label,
         latitude: pointPayload.latitude,
         longitude: pointPayload.longitude,
         radius_m: pointPayload.radiusM ?? GEOFENCE_DEFAULT_RADIUS_METERS,
+        approach_radius_m: pointPayload.approachRadiusM ?? null,
         is_active: pointPayload.isActive ?? true,
         updated_at: nowIso,
       },
-      { onConflict: "trip_id,label" }
+      { onConflict: "trip_id,stop_key" }
     )
-    .select("id, trip_id, driver_id, label, latitude, longitude, radius_m, is_active, updated_at")
+    .select("id, trip_id, driver_id, child_id, label, latitude, longitude, radius_m, approach_radius_m, is_active, updated_at")
     .single();
 
   if (error) {
     throw new Error(error.message);
   }
 
+  // Invalidating only after the write stops a concurrent ping from re-caching the old points.
+  invalidateTripGeofenceState(pointPayload.tripId);
+
   return {
     id: data.id,
     tripId: data.trip_id,
     driverId: data.driver_id,
+    childId: data.child_id,
     label: data.label,
     latitude: data.latitude,
     longitude: data.longitude,
     radiusM: data.radius_m,
+    approachRadiusM: data.approach_radius_m,
     isActive: data.is_active,
     updatedAt: data.updated_at,
   };
 }
 
-export async function getTripGeofenceEvents(tripId, limit = 100) {
-  const safeLimit = Math.min(Math.max(Number(limit) || 100, 1), 500);
-
-  const { data, error } = await supabase
-    .from("trip_geofence_events")
-    .select("id, point_id, trip_id, driver_id, label, event_type, distance_m, latitude, longitude, recorded_at")
-    .eq("trip_id", tripId)
-    .order("recorded_at", { ascending: false })
-    .limit(safeLimit);
+/**
+ * Creates a pickup geofence for every child linked to the driver that has pickup coordinates.
+ * Existing stops are left untouched so admin edits to radius or activation survive a resume.
+ */
+export async function createChildStopGeofences(tripId, driverId) {
+  const { data: children, error } = await supabase
+    .from("children")
+    .select("id, pickup_time, pickup_latitude, pickup_longitude")
+    .eq("linked_driver_id", driverId);
 
   if (error) {
     throw new Error(error.message);
   }
 
-  return (data ?? []).map((row) => ({
+  const nowIso = new Date().toISOString();
+  const stopRows = (children ?? [])
+    .filter((child) => Number.isFinite(child.pickup_latitude) && Number.isFinite(child.pickup_longitude))
+    .map((child) => ({
+      trip_id: tripId,
+      driver_id: driverId,
+      child_id: child.id,
+      stop_key: geofenceStopKey("pickup", child.id),
+      label: "pickup",
+      latitude: child.pickup_latitude,
+      longitude: child.pickup_longitude,
+      radius_m: GEOFENCE_DEFAULT_RADIUS_METERS,
+      sort_order: parsePickupTimeMinutes(child.pickup_time),
+      is_active: true,
+      updated_at: nowIso,
+    }));
+
+  if (!stopRows.length) {
+    return 0;
+  }
+
+  const insertStops = await supabase
+    .from("trip_geofence_points")
+    .upsert(stopRows, { onConflict: "trip_id,stop_key", ignoreDuplicates: true });
+
+  if (insertStops.error) {
+    throw new Error(insertStops.error.message);
+  }
+
+  invalidateTripGeofenceState(tripId);
+  return stopRows.length;
+}
+
+const GEOFENCE_EVENT_COLUMNS =
+  "id, point_id, trip_id, driver_id, child_id, label, event_type, distance_m, dwell_seconds, latitude, longitude, recorded_at";
+const GEOFENCE_EVENT_PAGE_SIZE = 1000;
+
+function toGeofenceEvent(row) {
+  return {
     id: row.id,
     pointId: row.point_id,
     tripId: row.trip_id,
     driverId: row.driver_id,
+    childId: row.child_id,
     label: row.label,
     eventType: row.event_type,
     distanceM: row.distance_m,
+    dwellSeconds: row.dwell_seconds,
     latitude: row.latitude,
     longitude: row.longitude,
     recordedAt: row.recorded_at,
-  }));
+  };
+}
+
+export async function getTripGeofenceEvents(tripId, limit = 100) {
+  const safeLimit = Math.min(Math.max(Number(limit) || 100, 1), 500);
+
+  const { data, error } = await supabase
+    .from("trip_geofence_events")
+    .select(GEOFENCE_EVENT_COLUMNS)
+    .eq("trip_id", tripId)
+    .order("recorded_at", { ascending: false })
+    .limit(safeLimit);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data ?? []).map(toGeofenceEvent);
+}
+
+/**
+ * Every geofence event of a trip, oldest first, read page by page. Meant for finished trips;
+ * use `getTripGeofenceEvents` for the latest events of a live one.
+ */
+export async function listAllTripGeofenceEvents(tripId) {
+  const events = [];
+
+  for (let offset = 0; ; offset += GEOFENCE_EVENT_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("trip_geofence_events")
+      .select(GEOFENCE_EVENT_COLUMNS)
+      .eq("trip_id", tripId)
+      .order("recorded_at", { ascending: true })
+      .order("id", { ascending: true })
+      .range(offset, offset + GEOFENCE_EVENT_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    events.push(...(data ?? []).map(toGeofenceEvent));
+    if ((data ?? []).length < GEOFENCE_EVENT_PAGE_SIZE) {
+      return events;
+    }
+  }
+}
+
+// Carries a 403 for the routes, as transition errors carry a 409.
+function createOwnershipError() {
+  const error = new Error("Driver is not allowed to update this trip");
+  error.statusCode = 403;
+  return error;
 }
 
 async function assertTripOwnedByDriver(tripId, driverId) {
+  const tripState = getTripState(tripId);
+  if (tripState.ownerDriverId) {
+    if (tripState.ownerDriverId !== driverId) {
+      throw createOwnershipError();
+    }
+    return;
+  }
+
   const latest = await supabase
     .from("active_trip_locations")
     .select("driver_id")
@@ -628,7 +1540,7 @@ async function assertTripOwnedByDriver(tripId, driverId) {
   }
 
   if (latest.data?.driver_id && latest.data.driver_id !== driverId) {
-    throw new Error("Driver is not allowed to update this trip");
+    throw createOwnershipError();
   }
 
   const session = await supabase
@@ -642,11 +1554,26 @@ async function assertTripOwnedByDriver(tripId, driverId) {
   }
 
   if (session.data?.driver_id && session.data.driver_id !== driverId) {
-    throw new Error("Driver is not allowed to update this trip");
+    throw createOwnershipError();
+  }
+
+  // A planned trip that has not started yet still belongs to its scheduled driver.
+  const plannedTrip = session.data ? null : await getPlannedTrip(tripId);
+  if (plannedTrip && plannedTrip.driverId !== driverId) {
+    throw createOwnershipError();
   }
+
+  tripState.ownerDriverId = session.data?.driver_id ?? latest.data?.driver_id ?? plannedTrip?.driverId ?? null;
 }
 
 async function canInsertHistory(tripId, recordedAtIso) {
+  const tripState = getTripState(tripId);
+  const current = new Date(recordedAtIso).getTime();
+
+  if (tripState.lastHistoryAt !== undefined) {
+    return tripState.lastHistoryAt === null || current - tripState.lastHistoryAt >= HISTORY_SAVE_MIN_SECONDS * 1000;
+  }
+
   const { data, error } = await supabase
     .from("trip_location_history")
     .select("recorded_at")
@@ -660,11 +1587,12 @@ async function canInsertHistory(tripId, recordedAtIso) {
   }
 
   if (!data?.recorded_at) {
+    tripState.lastHistoryAt = null;
     return true;
   }
 
   const last = new Date(data.recorded_at).getTime();
-  const current = new Date(recordedAtIso).getTime();
+  tripState.lastHistoryAt = last;
 
   return current - last >= HISTORY_SAVE_MIN_SECONDS * 1000;
 }
@@ -740,6 +1668,7 @@ function buildPlaybackStats(points) {
       totalDistanceKm: 0,
       durationSeconds: 0,
       averageSpeedKmh: null,
+      maxSpeedKmh: null,
       startedAt: null,
       endedAt: null,
     };
@@ -759,33 +1688,81 @@ function buildPlaybackStats(points) {
   const averageSpeedKmh =
     durationSeconds > 0 ? Number(((totalDistanceKm / durationSeconds) * 3600).toFixed(2)) : null;
 
+  const maxSpeedKmh = points.reduce(
+    (max, point) => (Number.isFinite(point.speedKmh) && (max === null || point.speedKmh > max) ? point.speedKmh : max),
+    null
+  );
+
   return {
     totalPoints: points.length,
     totalDistanceKm: Number(totalDistanceKm.toFixed(3)),
     durationSeconds,
     averageSpeedKmh,
+    maxSpeedKmh,
     startedAt: points[0].recordedAt,
     endedAt: points[points.length - 1].recordedAt,
   };
 }
 
-export async function getTripPlayback(tripId, options = {}) {
-  const safeLimit = Math.min(Math.max(Number(options.limit) || 300, 1), 1000);
-  const ascending = options.order !== "desc";
+function toPlaybackPoint(row) {
+  return {
+    tripId: row.trip_id,
+    driverId: row.driver_id,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    speedKmh: row.speed_kmh,
+    heading: row.heading,
+    accuracyM: row.accuracy_m,
+    tripPhase: row.trip_phase,
+    recordedAt: row.recorded_at,
+  };
+}
+
+function encodePlaybackCursor(row) {
+  return Buffer.from(JSON.stringify({ recordedAt: row.recorded_at, id: row.id })).toString("base64url");
+}
 
+/**
+ * Returns `{ recordedAt, id }` for a cursor issued by `getTripPlayback`, or null if it is not one.
+ */
+export function decodePlaybackCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!toDateOrNull(decoded?.recordedAt) || typeof decoded.id !== "string") {
+      return null;
+    }
+    return { recordedAt: toDateOrNull(decoded.recordedAt).toISOString(), id: decoded.id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keyset page over a trip's history ordered by (recorded_at, id), so pages stay stable while the
+ * trip is still writing points. Fetches one extra row to know whether another page exists.
+ */
+async function fetchTripHistoryPage(tripId, { from, to, ascending, limit, cursor }) {
   let query = supabase
     .from("trip_location_history")
-    .select("trip_id, driver_id, latitude, longitude, speed_kmh, heading, accuracy_m, trip_phase, recorded_at")
+    .select("id, trip_id, driver_id, latitude, longitude, speed_kmh, heading, accuracy_m, trip_phase, recorded_at")
     .eq("trip_id", tripId)
     .order("recorded_at", { ascending })
-    .limit(safeLimit);
+    .order("id", { ascending })
+    .limit(limit + 1);
 
-  if (options.from) {
-    query = query.gte("recorded_at", toIsoOrNow(options.from));
+  if (from) {
+    query = query.gte("recorded_at", from);
   }
 
-  if (options.to) {
-    query = query.lte("recorded_at", toIsoOrNow(options.to));
+  if (to) {
+    query = query.lte("recorded_at", to);
+  }
+
+  if (cursor) {
+    const operator = ascending ? "gt" : "lt";
+    query = query.or(
+      `recorded_at.${operator}."${cursor.recordedAt}",and(recorded_at.eq."${cursor.recordedAt}",id.${operator}.${cursor.id})`
+    );
   }
 
   const { data, error } = await query;
@@ -794,28 +1771,90 @@ export async function getTripPlayback(tripId, options = {}) {
     throw new Error(error.message);
   }
 
-  const points = (data ?? []).map((row) => ({
-    tripId: row.trip_id,
-    driverId: row.driver_id,
-    latitude: row.latitude,
-    longitude: row.longitude,
-    speedKmh: row.speed_kmh,
-    heading: row.heading,
-    accuracyM: row.accuracy_m,
-    tripPhase: row.trip_phase,
-    recordedAt: row.recorded_at,
-  }));
+  const rows = data ?? [];
+  const pageRows = rows.slice(0, limit);
+  return {
+    rows: pageRows,
+    nextCursor: rows.length > limit ? encodePlaybackCursor(pageRows[pageRows.length - 1]) : null,
+  };
+}
+
+async function fetchAllTripHistoryRows(tripId, { from, to }) {
+  const rows = [];
+  let cursor = null;
+
+  do {
+    const page = await fetchTripHistoryPage(tripId, { from, to, ascending: true, limit: 1000, cursor });
+    rows.push(...page.rows);
+    cursor = page.nextCursor ? decodePlaybackCursor(page.nextCursor) : null;
+  } while (cursor);
+
+  return rows;
+}
+
+/**
+ * Returns one page of playback. Follow `page.nextCursor` for the rest of the trip. The first page
+ * (no cursor) carries `stats` for the whole trip (within `from`/`to`), not just the page; cursor
+ * pages return `stats: null` so paging never reloads the trip. With `wholeTrip` every point in
+ * range is returned at once, which is what file exports need.
+ */
+export async function getTripPlayback(tripId, options = {}) {
+  const safeLimit = Math.min(Math.max(Number(options.limit) || 300, 1), 1000);
+  const ascending = options.order !== "desc";
+  const from = options.from ? toIsoOrNow(options.from) : null;
+  const to = options.to ? toIsoOrNow(options.to) : null;
+
+  const phaseHistory = await listTripPhaseHistory(tripId);
+
+  let points;
+  let stats = null;
+  let nextCursor = null;
+  if (options.wholeTrip) {
+    const allPoints = (await fetchAllTripHistoryRows(tripId, { from, to })).map(toPlaybackPoint);
+    stats = buildPlaybackStats(allPoints);
+    points = ascending ? allPoints : [...allPoints].reverse();
+  } else {
+    const page = await fetchTripHistoryPage(tripId, {
+      from,
+      to,
+      ascending,
+      limit: safeLimit,
+      cursor: options.cursor ? decodePlaybackCursor(options.cursor) : null,
+    });
+    points = page.rows.map(toPlaybackPoint);
+    nextCursor = page.nextCursor;
+
+    if (!options.cursor) {
+      stats = buildPlaybackStats((await fetchAllTripHistoryRows(tripId, { from, to })).map(toPlaybackPoint));
+    }
+  }
+
+  // Stats always describe the full-resolution path; only the returned points are thinned.
+  const orderedPoints = ascending ? points : [...points].reverse();
+  const toleranceM = Number(options.simplifyToleranceM) || 0;
+  const simplifiedPoints = simplifyPolyline(orderedPoints, toleranceM);
 
   return {
     tripId,
     range: {
-      from: options.from ? toIsoOrNow(options.from) : null,
-      to: options.to ? toIsoOrNow(options.to) : null,
+      from,
+      to,
       order: ascending ? "asc" : "desc",
       limit: safeLimit,
     },
-    stats: buildPlaybackStats(points),
-    points,
+    page: {
+      cursor: options.cursor ?? null,
+      nextCursor,
+      hasMore: Boolean(nextCursor),
+    },
+    stats,
+    phaseHistory,
+    simplification: {
+      toleranceM,
+      originalPoints: points.length,
+      returnedPoints: simplifiedPoints.length,
+    },
+    points: ascending ? simplifiedPoints : simplifiedPoints.reverse(),
   };
 }
 
@@ -824,7 +1863,7 @@ export async function listDriverTripSessions(driverId, limit = 50) {
 
   const { data, error } = await supabase
     .from("driver_trip_sessions")
-    .select("id, trip_id, driver_id, status, started_at, ended_at, created_at, updated_at")
+    .select(SESSION_COLUMNS)
     .eq("driver_id", driverId)
     .order("started_at", { ascending: false })
     .limit(safeLimit);
@@ -833,16 +1872,7 @@ export async function listDriverTripSessions(driverId, limit = 50) {
     throw new Error(error.message);
   }
 
-  return (data ?? []).map((row) => ({
-    id: row.id,
-    tripId: row.trip_id,
-    driverId: row.driver_id,
-    status: row.status,
-    startedAt: row.started_at,
-    endedAt: row.ended_at,
-    createdAt: row.created_at,
-    updatedAt: row.updated_at,
-  }));
+  return (data ?? []).map(toTripSession);
 }
 
 export async function cleanupTrackingHistory(olderThanDays = RETENTION_DEFAULT_DAYS) {
@@ -0,0 +1,157 @@
+import { supabase } from "../config/supabaseClient.js";
+import { env } from "../config/env.js";
+import { distanceMetersBetween } from "../utils/geo.js";
+import { updateTripSessionStatus } from "./trackingService.js";
+import { endTripSession } from "./childTripEventService.js";
+
+// Moves smaller than this while parked are GPS drift, not driving.
+const IDLE_MOVEMENT_RADIUS_METERS = 50;
+
+export const AUTO_STATUS_REASONS = {
+  idle: "auto_paused_idle",
+  schoolReached: "auto_completed_school_reached",
+  maxDuration: "auto_completed_max_duration",
+};
+
+function minutesAgoIso(minutes) {
+  return new Date(Date.now() - minutes * 60 * 1000).toISOString();
+}
+
+async function listOpenSessions() {
+  const { data, error } = await supabase
+    .from("driver_trip_sessions")
+    .select("trip_id, driver_id, status, started_at")
+    .in("status", ["active", "paused"]);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data ?? [];
+}
+
+async function getSchoolReachedAtByTrip(tripIds) {
+  if (!tripIds.length) {
+    return new Map();
+  }
+
+  const { data, error } = await supabase
+    .from("trip_geofence_events")
+    .select("trip_id, recorded_at")
+    .in("trip_id", tripIds)
+    .eq("label", "school")
+    .eq("event_type", "reached");
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const reachedAtByTrip = new Map();
+  for (const row of data ?? []) {
+    const previous = reachedAtByTrip.get(row.trip_id);
+    if (!previous || row.recorded_at < previous) {
+      reachedAtByTrip.set(row.trip_id, row.recorded_at);
+    }
+  }
+  return reachedAtByTrip;
+}
+
+/**
+ * True when every point recorded during the idle window, including the latest location, stays
+ * within a small radius. A trip with no points in the window has not moved either.
+ */
+async function hasBeenIdle(tripId) {
+  const sinceIso = minutesAgoIso(env.TRACKING_AUTO_PAUSE_IDLE_MINUTES);
+
+  const [history, latest] = await Promise.all([
+    supabase
+      .from("trip_location_history")
+      .select("latitude, longitude")
+      .eq("trip_id", tripId)
+      .gte("recorded_at", sinceIso),
+    supabase
+      .from("active_trip_locations")
+      .select("latitude, longitude, recorded_at")
+      .eq("trip_id", tripId)
+      .maybeSingle(),
+  ]);
+
+  if (history.error) {
+    throw new Error(history.error.message);
+  }
+
+  if (latest.error) {
+    throw new Error(latest.error.message);
+  }
+
+  if (!latest.data || latest.data.recorded_at < sinceIso) {
+    return true;
+  }
+
+  return (history.data ?? []).every(
+    (point) => distanceMetersBetween(point, latest.data) <= IDLE_MOVEMENT_RADIUS_METERS
+  );
+}
+
+function pickAutoAction(session, schoolReachedAt) {
+  if (schoolReachedAt && schoolReachedAt <= minutesAgoIso(env.TRACKING_AUTO_COMPLETE_AFTER_SCHOOL_MINUTES)) {
+    return { status: "completed", reason: AUTO_STATUS_REASONS.schoolReached };
+  }
+
+  if (session.started_at <= minutesAgoIso(env.TRACKING_MAX_TRIP_MINUTES)) {
+    return { status: "completed", reason: AUTO_STATUS_REASONS.maxDuration };
+  }
+
+  return null;
+}
+
+/**
+ * Pauses active trips that have not moved for `TRACKING_AUTO_PAUSE_IDLE_MINUTES`, and completes
+ * trips `TRACKING_AUTO_COMPLETE_AFTER_SCHOOL_MINUTES` after reaching school or once they are older
+ * than `TRACKING_MAX_TRIP_MINUTES`. Returns the updated sessions so the caller can broadcast them.
+ */
+export async function evaluateIdleAndOverdueTrips(log) {
+  const sessions = await listOpenSessions();
+  const schoolReachedAtByTrip = await getSchoolReachedAtByTrip(sessions.map((session) => session.trip_id));
+  const idleSinceIso = minutesAgoIso(env.TRACKING_AUTO_PAUSE_IDLE_MINUTES);
+  const updatedSessions = [];
+
+  for (const session of sessions) {
+    try {
+      let action = pickAutoAction(session, schoolReachedAtByTrip.get(session.trip_id));
+
+      if (!action && session.status === "active" && session.started_at <= idleSinceIso) {
+        const idle = await hasBeenIdle(session.trip_id);
+        action = idle ? { status: "paused", reason: AUTO_STATUS_REASONS.idle } : null;
+      }
+
+      if (!action) {
+        continue;
+      }
+
+      // Completion goes through the boarding check: children still on board force the end and
+      // raise the safety alert, with the automatic rule recorded as the override.
+      const updated =
+        action.status === "completed"
+          ? await endTripSession({
+              tripId: session.trip_id,
+              driverId: session.driver_id,
+              overrideReason: action.reason,
+              source: "system",
+              reason: action.reason,
+            })
+          : await updateTripSessionStatus({
+              tripId: session.trip_id,
+              driverId: session.driver_id,
+              status: action.status,
+              source: "system",
+              reason: action.reason,
+            });
+      updatedSessions.push(updated);
+    } catch (error) {
+      log.error({ error, tripId: session.trip_id }, "Automatic trip status update failed");
+    }
+  }
+
+  return updatedSessions;
+}
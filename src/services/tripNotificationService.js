@@ -0,0 +1,152 @@
+import { supabase } from "../config/supabaseClient.js";
+import { NOTIFICATION_STRINGS } from "../config/notification_strings.js";
+import { notificationService } from "./notificationService.js";
+
+// Offline batches can replay events long after they happened; those are not worth a push.
+const NOTIFICATION_MAX_AGE_SECONDS = 600;
+
+const GEOFENCE_NOTIFICATIONS = {
+  pickup: { content: NOTIFICATION_STRINGS.TRIPS.PICKUP_REACHED, preferenceKey: "pickupArrival" },
+  school: { content: NOTIFICATION_STRINGS.TRIPS.SCHOOL_REACHED, preferenceKey: "schoolArrival" },
+};
+
+const TRIP_STATUS_NOTIFICATIONS = {
+  active: { content: NOTIFICATION_STRINGS.TRIPS.TRIP_STARTED, preferenceKey: "tripStarted" },
+  completed: { content: NOTIFICATION_STRINGS.TRIPS.TRIP_ENDED, preferenceKey: "tripEnded" },
+};
+
+/**
+ * Reads `parents.notification_prefs`. Everything is on by default; `ride: false` mutes every
+ * trip notification and a specific key (e.g. `pickupArrival: false`) mutes just that one.
+ */
+export function isParentNotificationEnabled(prefs, preferenceKey) {
+  if (!prefs || typeof prefs !== "object") {
+    return true;
+  }
+
+  return prefs.ride !== false && prefs[preferenceKey] !== false;
+}
+
+export async function getLinkedParentRecipients(driverId) {
+  const { data, error } = await supabase
+    .from("children")
+    .select("id, child_name, parent:parents(id, supabase_user_id, notification_prefs)")
+    .eq("linked_driver_id", driverId);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data ?? [])
+    .filter((row) => row.parent?.supabase_user_id)
+    .map((row) => ({
+      childId: row.id,
+      childName: row.child_name,
+      parentId: row.parent.id,
+      supabaseUserId: row.parent.supabase_user_id,
+      notificationPrefs: row.parent.notification_prefs ?? {},
+    }));
+}
+
+/**
+ * Sends one push per parent, skipping parents who muted `preferenceKey`.
+ */
+export async function notifyRecipients(recipients, content, preferenceKey, data) {
+  const notifiedUserIds = new Set();
+  const notifications = [];
+
+  for (const recipient of recipients) {
+    if (notifiedUserIds.has(recipient.supabaseUserId)) {
+      continue;
+    }
+    notifiedUserIds.add(recipient.supabaseUserId);
+
+    if (!isParentNotificationEnabled(recipient.notificationPrefs, preferenceKey)) {
+      continue;
+    }
+
+    notifications.push(
+      notificationService.notifyUser(recipient.supabaseUserId, content.title, content.body, {
+        ...data,
+        child_id: data.child_id ?? recipient.childId,
+      })
+    );
+  }
+
+  await Promise.all(notifications);
+  return notifications.length;
+}
+
+export function isRecentTimestamp(recordedAtIso) {
+  const recordedAt = new Date(recordedAtIso).getTime();
+  return Number.isFinite(recordedAt) && Date.now() - recordedAt <= NOTIFICATION_MAX_AGE_SECONDS * 1000;
+}
+
+export async function notifyAdmins(content, data) {
+  const { data: admins, error } = await supabase
+    .from("users_meta")
+    .select("supabase_user_id")
+    .eq("role", "admin");
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  await Promise.all(
+    (admins ?? []).map((admin) => notificationService.notifyUser(admin.supabase_user_id, content.title, content.body, data))
+  );
+
+  return (admins ?? []).length;
+}
+
+/**
+ * Pushes "reached" events for pickup and school points to the parents linked to the driver.
+ * Child stops only notify that child's parent; shared points notify every linked parent.
+ */
+export async function notifyParentsOfGeofenceEvents({ tripId, driverId, geofenceEvents }) {
+  const notifiableEvents = (geofenceEvents ?? []).filter(
+    (event) => event.eventType === "reached" && GEOFENCE_NOTIFICATIONS[event.label] && isRecentTimestamp(event.recordedAt)
+  );
+
+  if (!notifiableEvents.length) {
+    return 0;
+  }
+
+  const recipients = await getLinkedParentRecipients(driverId);
+  let sent = 0;
+
+  for (const event of notifiableEvents) {
+    const { content, preferenceKey } = GEOFENCE_NOTIFICATIONS[event.label];
+    const eventRecipients = event.childId
+      ? recipients.filter((recipient) => recipient.childId === event.childId)
+      : recipients;
+
+    sent += await notifyRecipients(eventRecipients, content, preferenceKey, {
+      type: "trip_geofence",
+      trip_id: tripId,
+      event_id: event.id,
+      event_type: event.eventType,
+      label: event.label,
+      child_id: event.childId,
+    });
+  }
+
+  return sent;
+}
+
+/**
+ * Tells every parent linked to the driver that a trip started or ended. Other statuses are ignored.
+ */
+export async function notifyParentsOfTripStatus({ tripId, driverId, status }) {
+  const notification = TRIP_STATUS_NOTIFICATIONS[status];
+  if (!notification) {
+    return 0;
+  }
+
+  const recipients = await getLinkedParentRecipients(driverId);
+  return notifyRecipients(recipients, notification.content, notification.preferenceKey, {
+    type: "trip_status",
+    trip_id: tripId,
+    status,
+  });
+}
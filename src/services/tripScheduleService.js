@@ -0,0 +1,297 @@
+import { supabase } from "../config/supabaseClient.js";
+import { env } from "../config/env.js";
+import { addServiceDays, getServiceDate, parsePickupTimeMinutes, serviceTimeToIso } from "../utils/tripTime.js";
+
+const PLANNED_TRIP_COLUMNS =
+  "trip_id, driver_id, transport_service_id, service_date, run, scheduled_start_at, scheduled_end_at, started_at, session_trip_id, created_at";
+const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Each run starts and ends at a pair of `transport_services` timetable columns.
+const TRIP_RUNS = [
+  { run: "morning", startColumn: "morning_pickup_time", endColumn: "school_arrival_time" },
+  { run: "afternoon", startColumn: "afternoon_departure_time", endColumn: "home_drop_time" },
+];
+
+/**
+ * Accepts the shapes the apps send in `operating_days`: day names ("Monday", "mon") or ISO day
+ * numbers (1 = Monday … 7 = Sunday, 0 also Sunday).
+ */
+function toWeekdayKey(day) {
+  if (typeof day === "number") {
+    return Number.isInteger(day) && day >= 0 && day <= 7 ? WEEKDAY_KEYS[day % 7] : null;
+  }
+
+  const key = String(day ?? "").trim().slice(0, 3).toLowerCase();
+  return WEEKDAY_KEYS.includes(key) ? key : null;
+}
+
+function isOperatingDay(operatingDays, serviceDate) {
+  if (!Array.isArray(operatingDays)) {
+    return false;
+  }
+
+  const weekday = WEEKDAY_KEYS[new Date(`${serviceDate}T00:00:00Z`).getUTCDay()];
+  return operatingDays.some((day) => toWeekdayKey(day) === weekday);
+}
+
+function toPlannedTrip(row, now = Date.now()) {
+  const missedAfter = new Date(row.scheduled_start_at).getTime() + env.TRACKING_MISSED_TRIP_GRACE_MINUTES * 60 * 1000;
+  let status = "planned";
+  if (row.started_at) {
+    status = "started";
+  } else if (now > missedAfter) {
+    status = "missed";
+  }
+
+  return {
+    tripId: row.trip_id,
+    driverId: row.driver_id,
+    transportServiceId: row.transport_service_id,
+    serviceDate: row.service_date,
+    run: row.run,
+    scheduledStartAt: row.scheduled_start_at,
+    scheduledEndAt: row.scheduled_end_at,
+    startedAt: row.started_at,
+    // The live trip's id, which differs from `tripId` when the driver app chose its own.
+    sessionTripId: row.started_at ? row.session_trip_id ?? row.trip_id : null,
+    status,
+  };
+}
+
+function buildPlannedTripRows(service, serviceDate) {
+  if (!isOperatingDay(service.operating_days, serviceDate)) {
+    return [];
+  }
+
+  return TRIP_RUNS.flatMap(({ run, startColumn, endColumn }) => {
+    const startMinutes = parsePickupTimeMinutes(service[startColumn]);
+    if (startMinutes === null) {
+      return [];
+    }
+
+    const endMinutes = parsePickupTimeMinutes(service[endColumn]);
+    return [
+      {
+        driver_id: service.driver_id,
+        transport_service_id: service.id,
+        service_date: serviceDate,
+        run,
+        scheduled_start_at: serviceTimeToIso(env.TRACKING_TIME_ZONE, serviceDate, startMinutes),
+        scheduled_end_at:
+          endMinutes !== null && endMinutes > startMinutes
+            ? serviceTimeToIso(env.TRACKING_TIME_ZONE, serviceDate, endMinutes)
+            : null,
+      },
+    ];
+  });
+}
+
+/**
+ * Drops unstarted future trips for the day that the timetables no longer produce, e.g. after a
+ * service stopped running on that weekday or was deactivated.
+ */
+async function pruneStalePlannedTrips(serviceDate, plannedRows) {
+  const { data, error } = await supabase
+    .from("planned_trips")
+    .select("trip_id, transport_service_id, run")
+    .eq("service_date", serviceDate)
+    .is("started_at", null)
+    .gt("scheduled_start_at", new Date().toISOString());
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const plannedKeys = new Set(plannedRows.map((row) => `${row.transport_service_id}:${row.run}`));
+  const staleTripIds = (data ?? [])
+    .filter((row) => !plannedKeys.has(`${row.transport_service_id}:${row.run}`))
+    .map((row) => row.trip_id);
+
+  if (!staleTripIds.length) {
+    return 0;
+  }
+
+  const deletion = await supabase.from("planned_trips").delete().in("trip_id", staleTripIds);
+  if (deletion.error) {
+    throw new Error(deletion.error.message);
+  }
+
+  return staleTripIds.length;
+}
+
+/**
+ * Creates (or moves, after a timetable change) the morning and afternoon trips of every active
+ * transport service that operates on `serviceDate`. Each planned trip's id becomes the trip id
+ * once the driver starts it.
+ */
+export async function planTripsForDate(serviceDate) {
+  const { data, error } = await supabase
+    .from("transport_services")
+    .select("id, driver_id, operating_days, morning_pickup_time, school_arrival_time, afternoon_departure_time, home_drop_time")
+    .eq("is_active", true);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const plannedRows = (data ?? []).flatMap((service) => buildPlannedTripRows(service, serviceDate));
+  const prunedTrips = await pruneStalePlannedTrips(serviceDate, plannedRows);
+
+  if (plannedRows.length) {
+    const upsert = await supabase
+      .from("planned_trips")
+      .upsert(plannedRows, { onConflict: "transport_service_id,service_date,run" });
+
+    if (upsert.error) {
+      throw new Error(upsert.error.message);
+    }
+  }
+
+  return { serviceDate, plannedTrips: plannedRows.length, prunedTrips };
+}
+
+/**
+ * Plans today and the next `TRACKING_SCHEDULING_DAYS_AHEAD` days.
+ */
+export async function planUpcomingTrips() {
+  const today = getServiceDate(env.TRACKING_TIME_ZONE);
+  const results = [];
+
+  for (let offset = 0; offset <= env.TRACKING_SCHEDULING_DAYS_AHEAD; offset += 1) {
+    results.push(await planTripsForDate(addServiceDays(today, offset)));
+  }
+
+  return results;
+}
+
+async function findPlannedTripRow(column, tripId) {
+  const { data, error } = await supabase
+    .from("planned_trips")
+    .select(PLANNED_TRIP_COLUMNS)
+    .eq(column, tripId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+}
+
+/**
+ * The planned trip with this id, or the one a session with this id was linked to.
+ */
+export async function getPlannedTrip(tripId) {
+  const row = (await findPlannedTripRow("trip_id", tripId)) ?? (await findPlannedTripRow("session_trip_id", tripId));
+  return row ? toPlannedTrip(row) : null;
+}
+
+/**
+ * The driver's unstarted trip today whose scheduled start is closest to now, so tapping start
+ * before or after the planned time still picks the right run.
+ */
+export async function findPlannedTripToStart(driverId) {
+  const { data, error } = await supabase
+    .from("planned_trips")
+    .select(PLANNED_TRIP_COLUMNS)
+    .eq("driver_id", driverId)
+    .eq("service_date", getServiceDate(env.TRACKING_TIME_ZONE))
+    .is("started_at", null);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const now = Date.now();
+  const distanceFromNow = (row) => Math.abs(new Date(row.scheduled_start_at).getTime() - now);
+  const [closest] = [...(data ?? [])].sort((a, b) => distanceFromNow(a) - distanceFromNow(b));
+
+  return closest ? toPlannedTrip(closest, now) : null;
+}
+
+/**
+ * Records that a planned trip was started, by a session with `sessionTripId` when the driver app
+ * picked its own id. Planned trips that already started are left alone.
+ */
+export async function markPlannedTripStarted(tripId, sessionTripId = tripId) {
+  const { error } = await supabase
+    .from("planned_trips")
+    .update({
+      started_at: new Date().toISOString(),
+      session_trip_id: sessionTripId === tripId ? null : sessionTripId,
+    })
+    .eq("trip_id", tripId)
+    .is("started_at", null);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+/**
+ * The drivers' planned trips on `serviceDate`, with `sessionStatus` (active, paused, completed)
+ * for the ones that have started.
+ */
+export async function listPlannedTripsForDrivers(driverIds, serviceDate) {
+  if (!driverIds.length) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from("planned_trips")
+    .select(PLANNED_TRIP_COLUMNS)
+    .in("driver_id", driverIds)
+    .eq("service_date", serviceDate)
+    .order("scheduled_start_at", { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const sessionTripIdOf = (row) => row.session_trip_id ?? row.trip_id;
+  const startedTripIds = (data ?? []).filter((row) => row.started_at).map(sessionTripIdOf);
+  const sessionStatusByTrip = new Map();
+  if (startedTripIds.length) {
+    const sessions = await supabase.from("driver_trip_sessions").select("trip_id, status").in("trip_id", startedTripIds);
+
+    if (sessions.error) {
+      throw new Error(sessions.error.message);
+    }
+
+    for (const session of sessions.data ?? []) {
+      sessionStatusByTrip.set(session.trip_id, session.status);
+    }
+  }
+
+  const now = Date.now();
+  return (data ?? []).map((row) => ({
+    ...toPlannedTrip(row, now),
+    sessionStatus: sessionStatusByTrip.get(sessionTripIdOf(row)) ?? null,
+  }));
+}
+
+/**
+ * Planned trips on `serviceDate` that were still not started `TRACKING_MISSED_TRIP_GRACE_MINUTES`
+ * after their scheduled start, with the driver's name for follow-up.
+ */
+export async function listMissedPlannedTrips(serviceDate) {
+  const missedBeforeIso = new Date(Date.now() - env.TRACKING_MISSED_TRIP_GRACE_MINUTES * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from("planned_trips")
+    .select(`${PLANNED_TRIP_COLUMNS}, driver:drivers(first_name, last_name, phone)`)
+    .eq("service_date", serviceDate)
+    .is("started_at", null)
+    .lt("scheduled_start_at", missedBeforeIso)
+    .order("scheduled_start_at", { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data ?? []).map((row) => ({
+    ...toPlannedTrip(row),
+    driverName: [row.driver?.first_name, row.driver?.last_name].filter(Boolean).join(" ") || null,
+    driverPhone: row.driver?.phone ?? null,
+  }));
+}
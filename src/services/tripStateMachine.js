@@ -0,0 +1,117 @@
+import { supabase } from "../config/supabaseClient.js";
+
+const TRANSITION_COLUMNS =
+  "id, trip_id, driver_id, from_status, to_status, from_phase, to_phase, source, latitude, longitude, transitioned_at";
+
+/**
+ * Legal session status moves. Staying in the same status is always allowed, so a driver can
+ * change phase without changing status.
+ */
+export const SESSION_STATUS_TRANSITIONS = {
+  active: ["paused", "completed"],
+  paused: ["active", "completed"],
+  completed: [],
+};
+
+/**
+ * Legal trip phase moves. Drivers alternate between driving to the next pickup and picking up,
+ * then head to school; `completed` is reached only by ending the trip.
+ */
+export const TRIP_PHASE_TRANSITIONS = {
+  idle: ["en_route_to_pickups", "picking_up", "en_route_to_school", "completed"],
+  en_route_to_pickups: ["picking_up", "en_route_to_school", "completed"],
+  picking_up: ["en_route_to_pickups", "en_route_to_school", "completed"],
+  en_route_to_school: ["completed"],
+  completed: [],
+};
+
+export function createTransitionError(message) {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+}
+
+export function isTripPhaseTransitionAllowed(fromPhase, toPhase) {
+  return fromPhase === toPhase || (TRIP_PHASE_TRANSITIONS[fromPhase] ?? []).includes(toPhase);
+}
+
+/**
+ * Throws a 409 error unless moving from (`fromStatus`, `fromPhase`) to (`toStatus`, `toPhase`) is
+ * legal. `fromStatus` is null for a trip that has no session yet.
+ */
+export function assertTripTransition({ fromStatus, toStatus, fromPhase, toPhase }) {
+  if (!fromStatus && toStatus !== "active") {
+    throw createTransitionError(`Trip has not started, so it cannot be ${toStatus}`);
+  }
+
+  if (fromStatus && fromStatus !== toStatus && !SESSION_STATUS_TRANSITIONS[fromStatus].includes(toStatus)) {
+    throw createTransitionError(`Trip cannot move from ${fromStatus} to ${toStatus}`);
+  }
+
+  if (fromStatus === "completed") {
+    throw createTransitionError("Trip has already ended");
+  }
+
+  if ((toStatus === "completed") !== (toPhase === "completed")) {
+    throw createTransitionError("Only ending the trip can set the completed phase");
+  }
+
+  if (!isTripPhaseTransitionAllowed(fromPhase ?? "idle", toPhase)) {
+    throw createTransitionError(`Trip phase cannot move from ${fromPhase} to ${toPhase}`);
+  }
+}
+
+export async function recordTripTransition({
+  tripId,
+  driverId,
+  fromStatus,
+  toStatus,
+  fromPhase,
+  toPhase,
+  source,
+  location,
+  transitionedAt,
+}) {
+  const { error } = await supabase.from("trip_phase_transitions").insert({
+    trip_id: tripId,
+    driver_id: driverId,
+    from_status: fromStatus ?? null,
+    to_status: toStatus,
+    from_phase: fromPhase ?? null,
+    to_phase: toPhase,
+    source,
+    latitude: location?.latitude ?? null,
+    longitude: location?.longitude ?? null,
+    transitioned_at: transitionedAt ?? new Date().toISOString(),
+  });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function listTripPhaseHistory(tripId) {
+  const { data, error } = await supabase
+    .from("trip_phase_transitions")
+    .select(TRANSITION_COLUMNS)
+    .eq("trip_id", tripId)
+    .order("transitioned_at", { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data ?? []).map((row) => ({
+    id: row.id,
+    tripId: row.trip_id,
+    driverId: row.driver_id,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    fromPhase: row.from_phase,
+    toPhase: row.to_phase,
+    source: row.source,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    transitionedAt: row.transitioned_at,
+  }));
+}
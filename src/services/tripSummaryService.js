@@ -0,0 +1,217 @@
+import { supabase } from "../config/supabaseClient.js";
+import { env } from "../config/env.js";
+import { getServiceMinutes, parsePickupTimeMinutes } from "../utils/tripTime.js";
+import { flushHistoryRows } from "./trackingHistoryWriter.js";
+import { getTripSafetyReport } from "./drivingSafetyService.js";
+import { getTripManifest } from "./passengerManifestService.js";
+import { getPlannedTrip } from "./tripScheduleService.js";
+import {
+  filterItemsForChildren,
+  getTripGeofencePoints,
+  getTripPlayback,
+  getTripSession,
+  listAllTripGeofenceEvents,
+} from "./trackingService.js";
+
+// Arrivals within this many minutes of the scheduled time count as on time.
+const STOP_ON_TIME_TOLERANCE_MINUTES = 5;
+const ARRIVAL_EVENT_TYPES = ["entered", "reached"];
+
+/**
+ * The times a trip is measured against. Morning runs use each child's pickup time and the
+ * school arrival time; afternoon runs only have the school departure time. Unplanned trips
+ * are treated as morning runs of the driver's active service.
+ */
+async function getStopSchedule(tripId, driverId) {
+  const plannedTrip = await getPlannedTrip(tripId);
+
+  let query = supabase.from("transport_services").select("school_arrival_time, afternoon_departure_time");
+  query = plannedTrip
+    ? query.eq("id", plannedTrip.transportServiceId)
+    : query.eq("driver_id", driverId).eq("is_active", true).order("updated_at", { ascending: false }).limit(1);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const run = plannedTrip?.run ?? null;
+  const isAfternoon = run === "afternoon";
+  return {
+    run,
+    schoolTime: (isAfternoon ? data?.afternoon_departure_time : data?.school_arrival_time) ?? null,
+    usePickupTimes: !isAfternoon,
+  };
+}
+
+function describePunctuality(scheduledTime, arrivedAt) {
+  const scheduledMinutes = parsePickupTimeMinutes(scheduledTime);
+  if (scheduledMinutes === null || !arrivedAt) {
+    return { delayMinutes: null, punctuality: null };
+  }
+
+  const delayMinutes = getServiceMinutes(env.TRACKING_TIME_ZONE, new Date(arrivedAt)) - scheduledMinutes;
+  let punctuality = "on_time";
+  if (delayMinutes > STOP_ON_TIME_TOLERANCE_MINUTES) {
+    punctuality = "late";
+  } else if (delayMinutes < -STOP_ON_TIME_TOLERANCE_MINUTES) {
+    punctuality = "early";
+  }
+
+  return { delayMinutes, punctuality };
+}
+
+/**
+ * One entry per pickup or school point: whether the van got there, when, and how that compares
+ * with the child's pickup time from the frozen manifest or the run's school time.
+ */
+function buildStopReport({ points, events, manifest, schedule }) {
+  const pickupTimeByChild = new Map(
+    schedule.usePickupTimes ? (manifest?.children ?? []).map((child) => [child.childId, child.pickupTime]) : []
+  );
+
+  const arrivedAtByPoint = new Map();
+  for (const geofenceEvent of events) {
+    if (ARRIVAL_EVENT_TYPES.includes(geofenceEvent.eventType) && !arrivedAtByPoint.has(geofenceEvent.pointId)) {
+      arrivedAtByPoint.set(geofenceEvent.pointId, geofenceEvent.recordedAt);
+    }
+  }
+
+  return points
+    .filter((point) => point.label === "pickup" || point.label === "school")
+    .map((point) => {
+      const scheduledTime = point.label === "school" ? schedule.schoolTime : pickupTimeByChild.get(point.childId) ?? null;
+      const arrivedAt = arrivedAtByPoint.get(point.id) ?? null;
+
+      return {
+        pointId: point.id,
+        childId: point.childId,
+        label: point.label,
+        served: Boolean(arrivedAt),
+        arrivedAt,
+        scheduledTime,
+        ...describePunctuality(scheduledTime, arrivedAt),
+      };
+    });
+}
+
+function serializeTripSummary(row) {
+  return {
+    ...row.summary,
+    generatedAt: row.generated_at,
+  };
+}
+
+/**
+ * Builds the post-trip report from stored history, geofence and safety events and saves it in
+ * `trip_summaries`. Regenerating replaces the previous summary.
+ */
+export async function generateTripSummary(tripId) {
+  const session = await getTripSession(tripId);
+  if (!session) {
+    return null;
+  }
+
+  // Points still waiting in the history buffer belong in the distance and speed figures.
+  await flushHistoryRows();
+
+  const [playback, geofencePoints, geofenceEvents, safetyReport, manifest, schedule] = await Promise.all([
+    getTripPlayback(tripId, { wholeTrip: true }),
+    getTripGeofencePoints(tripId),
+    listAllTripGeofenceEvents(tripId),
+    getTripSafetyReport(tripId),
+    getTripManifest(tripId),
+    getStopSchedule(tripId, session.driverId),
+  ]);
+
+  const stops = buildStopReport({ points: geofencePoints, events: geofenceEvents, manifest, schedule });
+
+  const summary = {
+    tripId,
+    driverId: session.driverId,
+    run: schedule.run,
+    status: session.status,
+    statusReason: session.statusReason,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    stats: playback.stats,
+    stops,
+    stopsServed: stops.filter((stop) => stop.served).length,
+    lateStops: stops.filter((stop) => stop.punctuality === "late").length,
+    earlyStops: stops.filter((stop) => stop.punctuality === "early").length,
+    geofenceEvents,
+    safety: {
+      score: safetyReport.score,
+      counts: safetyReport.counts,
+      events: safetyReport.events,
+    },
+  };
+
+  const { data, error } = await supabase
+    .from("trip_summaries")
+    .upsert(
+      {
+        trip_id: tripId,
+        driver_id: session.driverId,
+        summary,
+        generated_at: new Date().toISOString(),
+      },
+      { onConflict: "trip_id" }
+    )
+    .select("summary, generated_at")
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return serializeTripSummary(data);
+}
+
+export function generateTripSummaryInBackground(tripId) {
+  generateTripSummary(tripId).catch((error) => {
+    console.error("❌ Failed to generate trip summary:", error.message);
+  });
+}
+
+/**
+ * Returns the stored summary of an ended trip, generating it if that failed at completion time.
+ * Trips that have not ended have no summary yet and return null.
+ */
+export async function getTripSummary(tripId) {
+  const { data, error } = await supabase
+    .from("trip_summaries")
+    .select("summary, generated_at")
+    .eq("trip_id", tripId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (data) {
+    return serializeTripSummary(data);
+  }
+
+  const session = await getTripSession(tripId);
+  return session?.status === "completed" ? generateTripSummary(tripId) : null;
+}
+
+/**
+ * The parent view: only their own children's stops and events plus the shared school stop.
+ * Driving safety details stay with the driver and admins.
+ */
+export function toParentTripSummary(summary, childIds) {
+  const { safety, ...shared } = summary;
+  const stops = filterItemsForChildren(summary.stops, childIds);
+
+  return {
+    ...shared,
+    stops,
+    stopsServed: stops.filter((stop) => stop.served).length,
+    lateStops: stops.filter((stop) => stop.punctuality === "late").length,
+    earlyStops: stops.filter((stop) => stop.punctuality === "early").length,
+    geofenceEvents: filterItemsForChildren(summary.geofenceEvents, childIds),
+  };
+}
@@ -0,0 +1,106 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+export function toRadians(degree) {
+  return (degree * Math.PI) / 180;
+}
+
+export function distanceMetersBetween(pointA, pointB) {
+  const latitudeDelta = toRadians(pointB.latitude - pointA.latitude);
+  const longitudeDelta = toRadians(pointB.longitude - pointA.longitude);
+
+  const latitudeARad = toRadians(pointA.latitude);
+  const latitudeBRad = toRadians(pointB.latitude);
+
+  const haversineA =
+    Math.sin(latitudeDelta / 2) * Math.sin(latitudeDelta / 2) +
+    Math.sin(longitudeDelta / 2) *
+      Math.sin(longitudeDelta / 2) *
+      Math.cos(latitudeARad) *
+      Math.cos(latitudeBRad);
+
+  const haversineC = 2 * Math.atan2(Math.sqrt(haversineA), Math.sqrt(1 - haversineA));
+  return EARTH_RADIUS_METERS * haversineC;
+}
+
+export function distanceKmBetween(pointA, pointB) {
+  return distanceMetersBetween(pointA, pointB) / 1000;
+}
+
+/**
+ * Projects a point to local x/y meters around `origin`. Accurate enough for the few-kilometre
+ * spans of a school run, and lets segment math use plain planar geometry.
+ */
+export function toLocalMeters(point, origin) {
+  const x = toRadians(point.longitude - origin.longitude) * Math.cos(toRadians(origin.latitude)) * EARTH_RADIUS_METERS;
+  const y = toRadians(point.latitude - origin.latitude) * EARTH_RADIUS_METERS;
+  return { x, y };
+}
+
+export function distanceToSegmentMeters(point, segmentStart, segmentEnd) {
+  const start = toLocalMeters(segmentStart, point);
+  const end = toLocalMeters(segmentEnd, point);
+  const deltaX = end.x - start.x;
+  const deltaY = end.y - start.y;
+  const lengthSquared = deltaX * deltaX + deltaY * deltaY;
+
+  // The point itself is the projection origin, so its coordinates are (0, 0).
+  const t = lengthSquared === 0 ? 0 : Math.min(1, Math.max(0, -(start.x * deltaX + start.y * deltaY) / lengthSquared));
+  const closestX = start.x + t * deltaX;
+  const closestY = start.y + t * deltaY;
+
+  return Math.sqrt(closestX * closestX + closestY * closestY);
+}
+
+export function distanceToPolylineMeters(point, polyline) {
+  if (!Array.isArray(polyline) || polyline.length === 0) {
+    return null;
+  }
+
+  if (polyline.length === 1) {
+    return distanceMetersBetween(point, polyline[0]);
+  }
+
+  let minDistance = Infinity;
+  for (let index = 1; index < polyline.length; index += 1) {
+    minDistance = Math.min(minDistance, distanceToSegmentMeters(point, polyline[index - 1], polyline[index]));
+  }
+
+  return minDistance;
+}
+
+/**
+ * Douglas–Peucker simplification. Drops points closer than `toleranceM` to the line between the
+ * points kept around them; the first and last points are always kept. Works iteratively so long
+ * trips cannot overflow the stack.
+ */
+export function simplifyPolyline(points, toleranceM) {
+  if (!Array.isArray(points) || points.length <= 2 || !(toleranceM > 0)) {
+    return points ?? [];
+  }
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  const ranges = [[0, points.length - 1]];
+  while (ranges.length) {
+    const [startIndex, endIndex] = ranges.pop();
+    let farthestIndex = -1;
+    let farthestDistance = toleranceM;
+
+    for (let index = startIndex + 1; index < endIndex; index += 1) {
+      const distance = distanceToSegmentMeters(points[index], points[startIndex], points[endIndex]);
+      if (distance > farthestDistance) {
+        farthestIndex = index;
+        farthestDistance = distance;
+      }
+    }
+
+    if (farthestIndex !== -1) {
+      keep[farthestIndex] = true;
+      ranges.push([startIndex, farthestIndex], [farthestIndex, endIndex]);
+    }
+  }
+
+  return points.filter((point, index) => keep[index]);
+}
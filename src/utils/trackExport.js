@@ -0,0 +1,166 @@
+const EXPORT_FORMATS = {
+  geojson: { contentType: "application/geo+json", extension: "geojson" },
+  gpx: { contentType: "application/gpx+xml", extension: "gpx" },
+  kml: { contentType: "application/vnd.google-earth.kml+xml", extension: "kml" },
+};
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function chronological(items) {
+  return [...(items ?? [])].sort(
+    (itemA, itemB) => new Date(itemA.recordedAt).getTime() - new Date(itemB.recordedAt).getTime()
+  );
+}
+
+function geofenceEventName(event) {
+  return `${event.label} ${event.eventType}`;
+}
+
+function toGeoJson(playback, points, geofenceEvents) {
+  const trackFeature = {
+    type: "Feature",
+    geometry: {
+      type: "LineString",
+      coordinates: points.map((point) => [point.longitude, point.latitude]),
+    },
+    properties: {
+      kind: "track",
+      tripId: playback.tripId,
+      stats: playback.stats,
+    },
+  };
+
+  const pointFeatures = points.map((point) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [point.longitude, point.latitude] },
+    properties: {
+      kind: "track_point",
+      recordedAt: point.recordedAt,
+      speedKmh: point.speedKmh,
+      heading: point.heading,
+      tripPhase: point.tripPhase,
+    },
+  }));
+
+  const eventFeatures = geofenceEvents.map((event) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [event.longitude, event.latitude] },
+    properties: {
+      kind: "geofence_event",
+      label: event.label,
+      eventType: event.eventType,
+      childId: event.childId,
+      dwellSeconds: event.dwellSeconds,
+      recordedAt: event.recordedAt,
+    },
+  }));
+
+  return JSON.stringify({
+    type: "FeatureCollection",
+    features: [trackFeature, ...pointFeatures, ...eventFeatures],
+  });
+}
+
+function toGpx(playback, points, geofenceEvents) {
+  const waypoints = geofenceEvents.map(
+    (event) =>
+      `  <wpt lat="${event.latitude}" lon="${event.longitude}">` +
+      `<time>${escapeXml(event.recordedAt)}</time>` +
+      `<name>${escapeXml(geofenceEventName(event))}</name>` +
+      `<type>${escapeXml(event.eventType)}</type></wpt>`
+  );
+
+  const trackPoints = points.map(
+    (point) =>
+      `      <trkpt lat="${point.latitude}" lon="${point.longitude}">` +
+      `<time>${escapeXml(point.recordedAt)}</time>` +
+      "<extensions>" +
+      `<vango:speedKmh>${escapeXml(point.speedKmh)}</vango:speedKmh>` +
+      `<vango:tripPhase>${escapeXml(point.tripPhase)}</vango:tripPhase>` +
+      "</extensions></trkpt>"
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="VanGo" xmlns="http://www.topografix.com/GPX/1/1" xmlns:vango="urn:vango:tracking">',
+    ...waypoints,
+    "  <trk>",
+    `    <name>Trip ${escapeXml(playback.tripId)}</name>`,
+    "    <trkseg>",
+    ...trackPoints,
+    "    </trkseg>",
+    "  </trk>",
+    "</gpx>",
+    "",
+  ].join("\n");
+}
+
+function toKml(playback, points, geofenceEvents) {
+  const eventPlacemarks = geofenceEvents.map(
+    (event) =>
+      "    <Placemark>" +
+      `<name>${escapeXml(geofenceEventName(event))}</name>` +
+      `<TimeStamp><when>${escapeXml(event.recordedAt)}</when></TimeStamp>` +
+      `<Point><coordinates>${event.longitude},${event.latitude}</coordinates></Point>` +
+      "</Placemark>"
+  );
+
+  // gx:Track keeps a timestamp per coordinate; speed and phase ride along as parallel arrays.
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    "  <Document>",
+    `    <name>Trip ${escapeXml(playback.tripId)}</name>`,
+    '    <Schema id="trackPoint">',
+    '      <gx:SimpleArrayField name="speedKmh" type="float"><displayName>Speed (km/h)</displayName></gx:SimpleArrayField>',
+    '      <gx:SimpleArrayField name="tripPhase" type="string"><displayName>Trip phase</displayName></gx:SimpleArrayField>',
+    "    </Schema>",
+    "    <Placemark>",
+    "      <name>Route</name>",
+    "      <gx:Track>",
+    ...points.map((point) => `        <when>${escapeXml(point.recordedAt)}</when>`),
+    ...points.map((point) => `        <gx:coord>${point.longitude} ${point.latitude} 0</gx:coord>`),
+    '        <ExtendedData><SchemaData schemaUrl="#trackPoint">',
+    '          <gx:SimpleArrayData name="speedKmh">',
+    ...points.map((point) => `            <gx:value>${escapeXml(point.speedKmh)}</gx:value>`),
+    "          </gx:SimpleArrayData>",
+    '          <gx:SimpleArrayData name="tripPhase">',
+    ...points.map((point) => `            <gx:value>${escapeXml(point.tripPhase)}</gx:value>`),
+    "          </gx:SimpleArrayData>",
+    "        </SchemaData></ExtendedData>",
+    "      </gx:Track>",
+    "    </Placemark>",
+    ...eventPlacemarks,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+const EXPORT_BUILDERS = {
+  geojson: toGeoJson,
+  gpx: toGpx,
+  kml: toKml,
+};
+
+/**
+ * Renders a trip playback (as returned by `getTripPlayback`) as a downloadable file, with the
+ * trip's geofence events as waypoints.
+ */
+export function buildPlaybackExport(format, playback, geofenceEvents = []) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const body = EXPORT_BUILDERS[format](playback, chronological(playback.points), chronological(geofenceEvents));
+
+  return {
+    contentType,
+    filename: `trip-${playback.tripId}.${extension}`,
+    body,
+  };
+}
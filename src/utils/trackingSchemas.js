@@ -0,0 +1,49 @@
+import { z } from "zod";
+
+export const tripPhaseSchema = z.enum(["idle", "en_route_to_pickups", "picking_up", "en_route_to_school", "completed"]);
+
+export const childTripEventSchema = z.object({
+  tripId: z.string().uuid(),
+  childId: z.string().uuid(),
+  eventType: z.enum(["boarded", "absent", "dropped"]),
+  note: z.string().trim().max(500).optional(),
+});
+
+export const locationUpdateSchema = z.object({
+  tripId: z.string().uuid(),
+  latitude: z.number().min(-90).max(90),
+  longitude: z.number().min(-180).max(180),
+  speedKmh: z.number().min(0).max(250).optional().nullable(),
+  heading: z.number().min(0).max(360).optional().nullable(),
+  accuracyM: z.number().min(0).max(5000).optional().nullable(),
+  isMocked: z.boolean().optional(),
+  tripPhase: tripPhaseSchema,
+  recordedAt: z.string().datetime().optional(),
+});
+
+/**
+ * Points buffered by the driver app while offline. Each point must carry the time it was
+ * captured, otherwise it cannot be placed in history or replayed through geofence detection.
+ */
+export const locationBatchSchema = z.object({
+  tripId: z.string().uuid(),
+  points: z
+    .array(locationUpdateSchema.omit({ tripId: true }).extend({ recordedAt: z.string().datetime() }))
+    .min(1)
+    .max(500),
+});
+
+/**
+ * Shared by the driver/parent and admin playback endpoints. `cursor` is the `page.nextCursor` of
+ * the previous page. `simplifyToleranceM` thins the returned path with Douglas–Peucker; `format`
+ * switches the response to a file download of the whole trip.
+ */
+export const playbackQuerySchema = z.object({
+  from: z.string().datetime().optional(),
+  to: z.string().datetime().optional(),
+  limit: z.coerce.number().int().positive().max(1000).optional(),
+  order: z.enum(["asc", "desc"]).optional(),
+  cursor: z.string().max(500).optional(),
+  simplifyToleranceM: z.coerce.number().min(0).max(500).optional(),
+  format: z.enum(["json", "geojson", "gpx", "kml"]).optional(),
+});
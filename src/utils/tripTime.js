@@ -0,0 +1,96 @@
+/**
+ * Converts the free-text `children.pickup_time` ("06:45 AM", "6:45", "18:10") into minutes
+ * after midnight so stops can be ordered. Returns null when the text cannot be read.
+ */
+export function parsePickupTimeMinutes(value) {
+  const match = /^\s*(\d{1,2})[:.](\d{2})\s*(am|pm)?\s*$/i.exec(String(value ?? ""));
+  if (!match) {
+    return null;
+  }
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const meridiem = match[3]?.toLowerCase();
+
+  if (meridiem === "pm" && hours < 12) {
+    hours += 12;
+  } else if (meridiem === "am" && hours === 12) {
+    hours = 0;
+  }
+
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * The calendar day (`YYYY-MM-DD`) a moment falls on in the operating time zone, which is what
+ * "today" means for attendance and schedules regardless of the server's own zone.
+ */
+export function getServiceDate(timeZone, date = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+/**
+ * Minutes after midnight of a moment in the operating time zone, comparable with
+ * `parsePickupTimeMinutes` for schedule punctuality.
+ */
+export function getServiceMinutes(timeZone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const hours = Number(parts.find((part) => part.type === "hour")?.value);
+  const minutes = Number(parts.find((part) => part.type === "minute")?.value);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Shifts a `YYYY-MM-DD` service date by whole days.
+ */
+export function addServiceDays(serviceDate, days) {
+  const date = new Date(`${serviceDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The instant at which the clock in `timeZone` shows `minutes` after midnight on `serviceDate`.
+ */
+export function serviceTimeToIso(timeZone, serviceDate, minutes) {
+  const wallClockAsUtc = new Date(`${serviceDate}T00:00:00Z`).getTime() + minutes * 60 * 1000;
+
+  // The zone's offset at that moment, read back from how the zone formats it.
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(new Date(wallClockAsUtc))
+      .map((part) => [part.type, part.value])
+  );
+  const zonedAsUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute)
+  );
+
+  return new Date(wallClockAsUtc - (zonedAsUtc - wallClockAsUtc)).toISOString();
+}